@@ -0,0 +1,91 @@
+/**
+ * Fixed simulation time step in seconds
+ * @constant {number}
+ */
+export const FIXED_TIMESTEP = 1 / 60;
+
+/**
+ * Longest frame time in seconds the simulation will catch up on, so a
+ * background tab doesn't run thousands of steps when it comes back
+ * @constant {number}
+ */
+const MAX_FRAME_TIME = 0.25;
+
+/**
+ * Create an animation loop driven by requestAnimationFrame. With a fixed
+ * time step the simulation always advances in steps of exactly that many
+ * seconds, running as many steps per frame as real time requires, so the
+ * same number of steps always gives the same result. Otherwise each frame
+ * is one step of the real elapsed time.
+ *
+ * @param {function(number)} step Advance the simulation by the given seconds
+ * @param {function()} draw Render the current state
+ * @param {?number} [fixedTimestep] Step size in seconds, or null to step by
+ *        the real frame time; default is {@link FIXED_TIMESTEP}
+ * @returns {AnimationObject} The animation, initially paused
+ */
+export function createAnimation(step, draw, fixedTimestep = FIXED_TIMESTEP) {
+  let frameRequest = null;
+  let lastTime = null;
+  let accumulator = 0;
+
+  const frame = (time) => {
+    // ask for the next frame first, so pausing during step or draw cancels
+    // it instead of being undone
+    frameRequest = window.requestAnimationFrame(frame);
+
+    const elapsed =
+      lastTime === null
+        ? 0
+        : Math.min((time - lastTime) / 1000, MAX_FRAME_TIME);
+    lastTime = time;
+
+    if (fixedTimestep) {
+      accumulator += elapsed;
+      while (accumulator >= fixedTimestep) {
+        step(fixedTimestep);
+        accumulator -= fixedTimestep;
+      }
+    } else if (elapsed > 0) {
+      step(elapsed);
+    }
+    draw();
+  };
+
+  const animation = {
+    get running() {
+      return frameRequest !== null;
+    },
+    resume() {
+      if (frameRequest === null) {
+        // don't count the time spent paused as elapsed time
+        lastTime = null;
+        frameRequest = window.requestAnimationFrame(frame);
+      }
+    },
+    pause() {
+      if (frameRequest !== null) {
+        window.cancelAnimationFrame(frameRequest);
+        frameRequest = null;
+      }
+    },
+    toggle() {
+      if (animation.running) {
+        animation.pause();
+      } else {
+        animation.resume();
+      }
+    },
+  };
+  return animation;
+}
+
+/**
+ * Controls for an animation loop from {@link createAnimation}
+ *
+ * @typedef {object} AnimationObject
+ * @property {boolean} running True while frames are being requested
+ * @property {function()} resume Start or continue the animation
+ * @property {function()} pause Stop requesting frames
+ * @property {function()} toggle Pause if running, otherwise resume
+ */
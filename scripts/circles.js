@@ -1,323 +1,509 @@
+import { FIXED_TIMESTEP, createAnimation } from "./animation.js";
+import { createControlPanel } from "./controls.js";
+import {
+  circlesToJSON,
+  circlesToSVG,
+  downloadFile,
+  parseCirclesJSON,
+  renderToPNG,
+} from "./export.js";
+import { CIRCLE_ELEMENTS, generateCircleUniformData } from "./generate.js";
+import { createCircleEditor } from "./interaction.js";
+import { createErrorOverlay } from "./overlay.js";
+import {
+  createStatsOverlay,
+  runBenchmark,
+  showBenchmarkTable,
+} from "./performance.js";
+import { parseHexColor, pickColor, toHexColor } from "./palettes.js";
+import { createRandom, randomSeed } from "./random.js";
+import {
+  RENDERERS,
+  createUniformRenderer,
+  maxUniformCircles,
+} from "./renderers.js";
+import {
+  getDisplaySize,
+  observeCanvasSize,
+  rescaleCircleData,
+} from "./resize.js";
+import {
+  radiusLimitsInPixels,
+  readSettings,
+  resetInvalidSettings,
+  writeSettings,
+} from "./settings.js";
+import { pickShape } from "./shapes.js";
+import { generateVelocities, stepSimulation } from "./simulation.js";
+
+/**
+ * Smallest gap in pixels between circles when placement avoids overlap
+ * @constant {number}
+ */
+const CIRCLE_GAP = 4;
+
+/**
+ * Fastest circle speed when animating, as a fraction of the smaller canvas
+ * dimension per second
+ * @constant {number}
+ */
+const MAX_SPEED = 0.25;
+
 /**
- * Number of circles to generate
+ * Radius of circles added by clicking, as a fraction of the smaller canvas
+ * dimension
  * @constant {number}
  */
-const NUM_CIRCLES = 12;
+const NEW_CIRCLE_RADIUS = 0.05;
+
+/**
+ * Settings that don't change which circles there are; changing them
+ * redraws without generating new circles
+ * @constant {string[]}
+ */
+const REDRAW_SETTINGS = [
+  "background",
+  "mode",
+  "strokeWidth",
+  "strokeColor",
+  "stats",
+  "renderer",
+  "animate",
+];
+
+/**
+ * Say that the default is used for each setting found to be invalid
+ *
+ * @param {Object<string, string>} errors Messages by setting name, from
+ *        {@link resetInvalidSettings}
+ * @returns {Object<string, string>} The messages to show in the panel
+ */
+function defaultsUsed(errors) {
+  return Object.fromEntries(
+    Object.entries(errors).map(([name, message]) => [
+      name,
+      `${message} The default is used instead.`,
+    ])
+  );
+}
 
 /** Render canvas when the DOM is loaded and parsed */
 document.addEventListener("DOMContentLoaded", () => {
-  // Get WebGL context from canvas
-  canvas = document.querySelector("#mainCanvas");
-  const WIDTH = Math.floor(canvas.offsetWidth * window.devicePixelRatio);
-  const HEIGHT = Math.floor(canvas.offsetHeight * window.devicePixelRatio);
-  //TODO better adjustment than this....
-  canvas.width = WIDTH;
-  canvas.height = HEIGHT;
+  const settings = readSettings(window.location.search, window.localStorage);
 
+  // Get WebGL context from canvas, sized to fill its CSS box in device pixels
+  const canvas = document.querySelector("#mainCanvas");
+  const dimensions = getDisplaySize(canvas);
+  canvas.width = dimensions.width;
+  canvas.height = dimensions.height;
+
+  const overlay = createErrorOverlay(document.querySelector("#errorOverlay"));
   const gl = canvas.getContext("webgl");
 
   if (!gl) {
-    throw new Error("ERROR: browser does not support WebGL");
+    overlay.show(
+      "WebGL is not available",
+      "This page draws with WebGL, which your browser or device doesn't " +
+        "support or has turned off. Try a recent version of Firefox, " +
+        "Chrome, Safari or Edge, and check that hardware acceleration is on."
+    );
+    return;
   }
 
-  // vertex and fragment shader code
-  const vertexCode = `   
-    precision mediump float;     
-    attribute vec2 vertPosition;
-    
-    void main()
-    {
-      gl_Position = vec4(vertPosition, 0.0, 1.0);
-    }`;
-
-  const fragmentCode = `  
-    precision mediump float;   
-    const int num = ${NUM_CIRCLES};
-    uniform vec3 circles[num];
+  const status = document.querySelector("#status");
+  // why the requested renderer isn't used stays in the status line next
+  // to the latest message
+  let rendererNotice = "";
+  let statusMessage = "";
+  const showStatus = (message = statusMessage) => {
+    statusMessage = message;
+    status.textContent = [rendererNotice, message].filter(Boolean).join(" ");
+  };
 
-   
-    void main()
-    {
-      float x = gl_FragCoord.x;
-      float y = gl_FragCoord.y;
-
-      for (int i = 0; i < num; i++) {
-        vec3 circle = circles[i];
-        float r = circle.z;
-
-        // check bounding box, then check if inside circle; rely on 
-        // short circuiting to reduce calculations for points outside circle
-        if (x > circle.x - r && x < circle.x + r 
-            && y > circle.y - r && y < circle.y + r
-            && (circle.x - x)*(circle.x - x) + (circle.y - y)*(circle.y - y) < r*r ) {
-          gl_FragColor = vec4(x/${WIDTH}.0, y/${HEIGHT}.0, 0.5, 1.0);   
-          return;
-        }
+  // draw with the requested renderer, falling back to the uniform array
+  // renderer if the browser lacks what the faster one needs; the settings
+  // then name the renderer actually used
+  let renderer = null;
+  const useRenderer = () => {
+    if (renderer) {
+      renderer.dispose();
+    }
+    rendererNotice = "";
+    try {
+      renderer = RENDERERS[settings.renderer](gl);
+    } catch (error) {
+      if (error.diagnostics) {
+        overlay.show(
+          `The ${settings.renderer} renderer's shaders didn't compile, ` +
+            "so the uniform renderer is used instead",
+          error
+        );
       }
-      // background color
-      gl_FragColor = vec4(0.9, 0.9, 0.9, 1.0);  
-    }`;
-
-  // create program by creating shaders from code, attaching
-  // the shaders to the program and linking the program
-  const program = makeProgramFromStrings(gl, [vertexCode, fragmentCode]);
-
-  // Get data ready to transfer to graphics card
-
-  // Set up buffer data and associated attributes
-  // prettier-ignore
-  const bufferData = new Float32Array([
-    // X, Y,       R, G, B
-      -1.0,  1.0,  // top left
-      -1.0, -1.0,  // bottom left 
-       1.0,  1.0,  // top right
-       1.0, -1.0,  // bottom right
-  ]);
-
-  const attributes = new Array(
-    // vertPosition is 2 elements in a 2 element vertex of type float
-    createAttribute("vertPosition", 2, 2, gl.FLOAT)
-  );
-
-  // Create buffer from buffer data and attributes
-  createBuffer(gl, program, bufferData, attributes);
-
-  gl.useProgram(program);
-
-  // gl.viewport(0, 0, canvas.width, canvas.height);
-
-  // generate circles with 3 float values each
-  const uniformData = generateCircleUniformData(
-    NUM_CIRCLES,
-    {
-      max: 4,
-      min: 50,
-    },
-    { width: WIDTH, height: HEIGHT }
+      rendererNotice =
+        `The ${settings.renderer} renderer isn't available ` +
+        `(${error.message.replace(/^ERROR:? */, "")}), so the uniform ` +
+        "renderer is used.";
+      renderer = createUniformRenderer(gl);
+      settings.renderer = renderer.name;
+    }
+    showStatus();
+  };
+  useRenderer();
+
+  // settings from a link or an earlier visit may not fit this canvas or
+  // renderer; use the defaults for those, then write the settings back so
+  // the address bar always reproduces the current picture
+  const rendererLimits = { uniform: maxUniformCircles(gl) };
+  const invalidSettings = resetInvalidSettings(
+    settings,
+    dimensions,
+    rendererLimits
   );
+  writeSettings(settings, window.localStorage);
+
+  // everything that is drawn; replaced as a whole when circles are
+  // generated or a layout is imported
+  const scene = {
+    seed: settings.seed,
+    palette: settings.palette,
+    circleData: new Float32Array(0),
+    velocities: null,
+    style: null,
+  };
+  let animation = null;
+
+  const stats = createStatsOverlay(document.querySelector("#stats"), gl);
+  stats.enabled = settings.stats === "on";
+
+  const draw = () => {
+    try {
+      stats.measure(
+        () => renderer.draw(scene.circleData, dimensions, scene.style),
+        {
+          count: scene.circleData.length / CIRCLE_ELEMENTS,
+          width: dimensions.width,
+          height: dimensions.height,
+          renderer: renderer.name,
+          animating: Boolean(animation && animation.running),
+        }
+      );
+    } catch (error) {
+      // stop animating rather than failing again on every frame
+      if (animation && animation.running) {
+        animation.pause();
+        pauseButton.textContent = "Resume";
+      }
+      overlay.show(
+        error.diagnostics
+          ? `The ${renderer.name} renderer's shaders didn't compile`
+          : "The circles couldn't be drawn",
+        error
+      );
+    }
+    editor.updateMarker();
+  };
+  const redraw = () => {
+    if (!animation || !animation.running) {
+      draw();
+    }
+  };
+  const maxSpeed = () =>
+    MAX_SPEED * Math.min(dimensions.width, dimensions.height);
+
+  // the gradient flag belongs to the circles, so it is only changed when
+  // they are generated or imported
+  const updateStyle = (gradient = scene.style.gradient) => {
+    scene.style = {
+      background: parseHexColor(settings.background),
+      gradient: gradient,
+      mode: settings.mode,
+      strokeWidth: settings.strokeWidth * window.devicePixelRatio,
+      strokeColor: parseHexColor(settings.strokeColor),
+    };
+  };
 
-  let uniformLocation = gl.getUniformLocation(program, "circles");
-  gl.uniform3fv(uniformLocation, uniformData);
-
-  gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
-});
-
-/**
- * Create and compile a shader from GLSL source code string
- *
- * @param {!WebGLRenderingContext } gl The current WebGL rendering context
- * @param {!string} shaderSource The shader source code text in GLSL
- * @param {!number} shaderType The type of shader to create, either gl.VERTEX_SHADER or gl.FRAGMENT_SHADER
- * @throws {Error} If shader cannot be compiled
- * @returns {!WebGLShader} The compiled shader
- */
-function makeShader(gl, shaderSource, shaderType) {
-  const shader = gl.createShader(shaderType);
-  gl.shaderSource(shader, shaderSource);
-  gl.compileShader(shader);
-  if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
-    throw new Error(
-      `ERROR compiling ${
-        shaderType === gl.VERTEX_SHADER ? "vertex" : "fragment"
-      } shader: ${gl.getShaderInfoLog(shader)}`
+  // circles and, when animating, their velocities are drawn from the same
+  // seeded sequence so the settings reproduce the whole animation
+  const generate = () => {
+    const random = createRandom(settings.seed);
+
+    // generate circles with CIRCLE_ELEMENTS float values each; placement
+    // strategies that avoid overlap may not fit every requested circle
+    scene.seed = settings.seed;
+    scene.palette = settings.palette;
+    scene.circleData = generateCircleUniformData(
+      settings.count,
+      radiusLimitsInPixels(settings, dimensions),
+      dimensions,
+      {
+        random: random,
+        placement: settings.placement,
+        gap: CIRCLE_GAP,
+        palette: settings.palette,
+        opacity: settings.opacity,
+        shape: settings.shape,
+      }
     );
-  }
-  return shader;
-}
+    const numPlaced = scene.circleData.length / CIRCLE_ELEMENTS;
+    scene.velocities = generateVelocities(numPlaced, maxSpeed(), random);
+    updateStyle(scene.palette === "gradient");
+    // undo must not bring back circles from another seed
+    editor.clearHistory();
+
+    showStatus(
+      numPlaced < settings.count
+        ? `Only ${numPlaced} of ${settings.count} circles fit without overlapping.`
+        : ""
+    );
+  };
 
-/**
- * Create a WebGLProgram, attach a vertex and a fragment shader,
- * then link the program, with the option to validate the program.
- *
- * @param {!WebGLRenderingContext } gl The current WebGL rendering context
- * @param {!WebGLShader} vertexShader A compiled vertex shader
- * @param {!WebGLShader} fragmentShader A compiled fragment shader
- * @param {boolean} validate If true, will validate the program before returning it
- * @throws {Error} If program can't be linked
- * @throws {Error} If validate is true and the program can't be validated
- * @returns {!WebGLProgram}
- */
-function makeProgram(gl, vertexShader, fragmentShader, validate = false) {
-  const program = gl.createProgram();
-  gl.attachShader(program, vertexShader);
-  gl.attachShader(program, fragmentShader);
-
-  gl.linkProgram(program);
-  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
-    throw new Error("ERROR linking program: " + gl.getProgramInfoLog(program));
-  }
-  if (validate) {
-    gl.validateProgram(program);
-    if (!gl.getProgramParameter(program, gl.VALIDATE_STATUS)) {
-      throw new Error(
-        "ERROR validating program: " + gl.getProgramInfoLog(program)
+  const pauseButton = document.querySelector("#pause");
+  const useAnimation = () => {
+    if (animation) {
+      animation.pause();
+      animation = null;
+    }
+    pauseButton.hidden = settings.animate === "off";
+    pauseButton.textContent = "Pause";
+    if (settings.animate !== "off") {
+      animation = createAnimation(
+        (dt) =>
+          stepSimulation(scene.circleData, scene.velocities, dt, dimensions),
+        draw,
+        settings.animate === "fixed" ? FIXED_TIMESTEP : null
       );
+      animation.resume();
     }
-  }
-
-  return program;
-}
-
-/**
- * Create a WebGL program from 2 strings containing GLSL code.
- *
- * @param {!WebGLRenderingContext} gl The WebGL Context.
- * @param {string[]} shaderCode Array of GLSL code for the shaders. The first is assumed to be the
- *        vertex shader, the second the fragment shader.
- * @return {!WebGLProgram} A program
- */
-function makeProgramFromStrings(gl, shaderCode) {
-  const vertexShader = makeShader(gl, shaderCode[0], gl.VERTEX_SHADER);
-
-  const fragmentShader = makeShader(gl, shaderCode[1], gl.FRAGMENT_SHADER);
-
-  return makeProgram(gl, vertexShader, fragmentShader);
-}
-
-/**
- * Create an attribute object from the parameters
- *
- * @param {string} name The attribute (variable) name that will be accessed in the GLSL code
- * @param {number} numElements The number of elements for this attribute. Must be 1, 2, 3, or 4.
- * @param {number} numVertex  Number elements in the full vertex
- * @param {string} type Data type of each component: gl.BYTE, gl.SHORT, gl.UNSIGNED_BYTE, gl.UNSIGNED_SHORT, gl.FLOAT
- * @param {number} offset  Offset of this attribute in the full vertex
- * @param {number} typeSize size of the data type
- * @param {boolean} normalized If true, integer data values normalized when being cast to a float
- * @returns {AttributeObject} An attribute object used in the {@link createBuffer} to set the attribute pointed
- */
-function createAttribute(
-  name,
-  numElements,
-  numVertex,
-  type,
-  offset = 0,
-  typeSize = Float32Array.BYTES_PER_ELEMENT,
-  normalized = false
-) {
-  return {
-    name: name,
-    size: numElements,
-    stride: numVertex * typeSize,
-    offset: offset * typeSize,
-    type: type,
-    normalized: normalized,
   };
-}
+  pauseButton.addEventListener("click", () => {
+    animation.toggle();
+    pauseButton.textContent = animation.running ? "Pause" : "Resume";
+  });
 
-/**
- * Create a buffer from the buffer data and configure attributes
- *
- * @param {!WebGLRenderingContext } gl The current WebGL rendering context
- * @param {!WebGLProgram} program The WebGL complied and linked program
- * @param {!Float32Array} bufferData An array of elements
- * @param {!Array<AttributeObject>} attributes Attribute descriptions generated from {@link createAttribute}
- * @param {number} type Buffer type from a GLenum; default is gl.ARRAY_BUFFER
- * @param {number} bufferDataType Buffer data type from a GLenum; default is gl.STATIC_DRAW
- */
-function createBuffer(
-  gl,
-  program,
-  bufferData,
-  attributes,
-  type = gl.ARRAY_BUFFER,
-  bufferDataType = gl.STATIC_DRAW
-) {
-  const buffer = gl.createBuffer();
-  gl.bindBuffer(type, buffer);
-  gl.bufferData(type, bufferData, bufferDataType);
-
-  attributes.forEach((attr) => {
-    const attrLocation = gl.getAttribLocation(program, attr.name);
-    if (attrLocation === -1) {
-      throw "Can not find attribute " + attr.name + ".";
+  const editor = createCircleEditor(
+    canvas,
+    document.querySelector("#selection"),
+    scene,
+    dimensions,
+    {
+      createCircle: (point) => {
+        const circle = {
+          x: point.x,
+          y: point.y,
+          r: NEW_CIRCLE_RADIUS * Math.min(dimensions.width, dimensions.height),
+        };
+        const color = pickColor(scene.palette, circle, dimensions, Math.random);
+        const shape = pickShape(settings.shape, Math.random);
+        return [
+          circle.x,
+          circle.y,
+          circle.r,
+          color.r,
+          color.g,
+          color.b,
+          settings.opacity,
+          shape.type,
+          shape.rotation,
+          shape.a,
+          shape.b,
+        ];
+      },
+      onChange: redraw,
     }
-
-    gl.vertexAttribPointer(
-      attrLocation,
-      attr.size,
-      attr.type,
-      attr.normalized,
-      attr.stride,
-      attr.offset
+  );
+  document.querySelector("#undo").addEventListener("click", editor.undo);
+  document.querySelector("#redo").addEventListener("click", editor.redo);
+
+  generate();
+  editor.deselect();
+  useAnimation();
+
+  // changes in the control panel re-render live; only settings that
+  // affect which circles there are generate new ones
+  const panel = createControlPanel(
+    document.querySelector("#controls"),
+    settings,
+    () => dimensions,
+    rendererLimits,
+    (changed) => {
+      if (changed.includes("renderer")) {
+        useRenderer();
+        // the fallback renderer may not draw as many circles
+        const invalid = resetInvalidSettings(
+          settings,
+          dimensions,
+          rendererLimits
+        );
+        panel.update();
+        panel.showErrors(defaultsUsed(invalid));
+        if (invalid.count) {
+          changed.push("count");
+        }
+      }
+      writeSettings(settings, window.localStorage);
+      if (changed.includes("stats")) {
+        stats.enabled = settings.stats === "on";
+      }
+      if (changed.some((name) => !REDRAW_SETTINGS.includes(name))) {
+        generate();
+        editor.deselect();
+      } else {
+        updateStyle();
+      }
+      if (changed.includes("animate")) {
+        useAnimation();
+      }
+      redraw();
+    }
+  );
+  panel.showErrors(defaultsUsed(invalidSettings));
+
+  // benchmark every renderer with the current style, radii and shape, on
+  // an off-screen canvas so the picture is left alone
+  const benchmarkButton = document.querySelector("#runBenchmark");
+  const saveBenchmarkButton = document.querySelector("#saveBenchmark");
+  const benchmarkProgress = document.querySelector("#benchmarkProgress");
+  let benchmarkResults = null;
+  benchmarkButton.addEventListener("click", () => {
+    const radius = radiusLimitsInPixels(settings, dimensions);
+    const smaller = Math.min(dimensions.width, dimensions.height);
+    benchmarkButton.disabled = true;
+    runBenchmark({
+      style: scene.style,
+      radius: { min: radius.min / smaller, max: radius.max / smaller },
+      shape: settings.shape,
+      onProgress: (done, total) => {
+        benchmarkProgress.textContent = `${done} of ${total} cases run`;
+      },
+    })
+      .then(
+        (results) => {
+          benchmarkResults = results;
+          showBenchmarkTable(
+            document.querySelector("#benchmarkResults"),
+            results
+          );
+          saveBenchmarkButton.disabled = false;
+        },
+        (error) => overlay.show("The benchmark couldn't run", error)
+      )
+      .then(() => {
+        benchmarkButton.disabled = false;
+      });
+  });
+  saveBenchmarkButton.addEventListener("click", () => {
+    downloadFile(
+      "circles-benchmark.json",
+      JSON.stringify(
+        {
+          date: new Date().toISOString(),
+          userAgent: navigator.userAgent,
+          style: scene.style,
+          shape: settings.shape,
+          results: benchmarkResults,
+        },
+        null,
+        2
+      ),
+      "application/json"
     );
-    gl.enableVertexAttribArray(attrLocation);
   });
-}
 
-/**
- * Clear the canvas with the given color
- * @param {WebGLRenderingContext} gl The current WebGL rendering context
- * @param {ColorObject} color Contains floats for r, g, b, and a
- */
-function clearCanvas(gl, color) {
-  gl.clearColor(color.r, color.g, color.b, color.a);
-  gl.clear(gl.COLOR_BUFFER_BIT);
-}
+  // renderers rebuild their resources once a lost context is restored
+  canvas.addEventListener("webglcontextrestored", redraw);
+
+  // keep the same circles when the canvas size or pixel ratio changes,
+  // scaled to the new drawing buffer
+  observeCanvasSize(canvas, (size) => {
+    rescaleCircleData(scene.circleData, dimensions, size);
+    editor.rescaleHistory(dimensions, size);
+    dimensions.width = size.width;
+    dimensions.height = size.height;
+    scene.style.strokeWidth = settings.strokeWidth * window.devicePixelRatio;
+    redraw();
+  });
 
-/**
- * Generates a requested number of random circles. Given sizeLimit is
- * the smaller dimension of canvas width and height, the the max
- * radius equals 1/radiusLimits.max * sizeLimit and the min radius is
- * 1/radiusLimits.min * sizeLimit
- * @param {number} numCircles The number of circles to generate
- * @param {Object} radiusLimits Contains min and max values to determine the
- *                              min and max radius relative to the canvas width
- * @param canvasDimension {object} width and height of canvas
- * @returns {Float32Array} Of circle info, (x, y) = center, z = radius
- */
-function generateCircleUniformData(numCircles, radiusLimits, canvasDimensions) {
-  const CIRCLE_ELEMENTS = 3;
-  const circles = [];
-  const sizeLimit =
-    canvasDimensions.width < canvasDimensions.height
-      ? canvasDimensions.width
-      : canvasDimensions.height;
-
-  const MAX_RADIUS = sizeLimit / radiusLimits.max;
-  const MIN_RADIUS = sizeLimit / radiusLimits.min;
-
-  for (let i = 0; i < numCircles; i++) {
-    const radius = Math.random() * (MAX_RADIUS - MIN_RADIUS) + MIN_RADIUS;
-    const x = Math.random() * (canvasDimensions.width - 2 * radius) + radius;
-    const y = Math.random() * (canvasDimensions.height - 2 * radius) + radius;
-    circles.push({
-      x: x,
-      y: y,
-      r: radius,
-    });
-  }
+  document.querySelector("#exportPNG").addEventListener("click", () => {
+    const scale = Number(document.querySelector("#exportScale").value);
+    // renderToPNG throws before returning its promise for some errors
+    new Promise((resolve) =>
+      resolve(
+        renderToPNG(
+          renderer.name,
+          scene.circleData,
+          dimensions,
+          scene.style,
+          scale
+        )
+      )
+    ).then(
+      (blob) => downloadFile(`circles-${scene.seed}.png`, blob),
+      (error) => overlay.show("The PNG couldn't be saved", error)
+    );
+  });
 
-  const uniformData = new Float32Array(CIRCLE_ELEMENTS * numCircles);
-  for (let i = 0; i < NUM_CIRCLES; i++) {
-    var baseIndex = CIRCLE_ELEMENTS * i;
-    let circle = circles[i];
-    uniformData[baseIndex + 0] = circle.x;
-    uniformData[baseIndex + 1] = circle.y;
-    uniformData[baseIndex + 2] = circle.r;
-  }
+  document.querySelector("#exportSVG").addEventListener("click", () => {
+    downloadFile(
+      `circles-${scene.seed}.svg`,
+      circlesToSVG(scene.circleData, dimensions, scene.style),
+      "image/svg+xml"
+    );
+  });
 
-  return uniformData;
-}
+  document.querySelector("#exportJSON").addEventListener("click", () => {
+    downloadFile(
+      `circles-${scene.seed}.json`,
+      circlesToJSON(scene.circleData, {
+        seed: scene.seed,
+        canvasDimensions: dimensions,
+        style: scene.style,
+      }),
+      "application/json"
+    );
+  });
 
-/**
- * Description of color object for WebGL color
- *
- * @typedef {object} ColorObject
- * @property {number} red Value of red from 0.0 to 1.0
- * @property {number} green Value of green from 0.0 to 1.0
- * @property {number} blue Value of blue from 0.0 to 1.0
- * @property {number} alpha Value of alpha from 0.0 to 1.0
- */
+  document.querySelector("#importJSON").addEventListener("change", (event) => {
+    const file = event.target.files[0];
+    if (!file) {
+      return;
+    }
+    file.text().then((text) => {
+      let layout;
+      try {
+        layout = parseCirclesJSON(text);
+      } catch (error) {
+        showStatus(error.message);
+        return;
+      }
 
-/**
- * Description of attribute object
- *
- * @typedef {object} AttributeObject
- * @property {string} name the name of the attribute to be used in the GLSL code
- * @property {number} size the number of elements for this attribute; must be 1,2,3, or 4
- * @property {number} stride the size in bytes of one full vertex
- * @property {number} offset the offset in bytes of this attribute in the full vertex
- * @property {number} type Data type of each component: gl.BYTE, gl.SHORT, gl.UNSIGNED_BYTE, gl.UNSIGNED_SHORT, gl.FLOAT
- * @property {boolean} normalized If true, integer data values normalized when being cast to a float
- */
+      rescaleCircleData(layout.circleData, layout.canvasDimensions, dimensions);
+      scene.seed = layout.seed;
+      scene.circleData = layout.circleData;
+      scene.style = layout.style;
+      scene.palette = layout.style.gradient ? "gradient" : scene.palette;
+      scene.velocities = generateVelocities(
+        layout.circleData.length / CIRCLE_ELEMENTS,
+        maxSpeed(),
+        createRandom(layout.seed === null ? randomSeed() : layout.seed)
+      );
+
+      // show the imported style in the control panel
+      if (layout.seed !== null) {
+        settings.seed = layout.seed;
+      }
+      settings.background = toHexColor(layout.style.background);
+      settings.mode = layout.style.mode;
+      settings.strokeWidth = layout.style.strokeWidth / window.devicePixelRatio;
+      settings.strokeColor = toHexColor(layout.style.strokeColor);
+      writeSettings(settings, window.localStorage);
+      panel.update();
+
+      editor.clearHistory();
+      showStatus(`Imported ${file.name}.`);
+      editor.deselect();
+      redraw();
+    });
+    // allow importing the same file again
+    event.target.value = "";
+  });
+});
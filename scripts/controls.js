@@ -0,0 +1,148 @@
+import { randomSeed } from "./random.js";
+import {
+  MAX_CIRCLES,
+  SETTING_PARSERS,
+  convertRadius,
+  validateSettings,
+} from "./settings.js";
+
+/**
+ * Messages shown next to a control panel field whose text can't be parsed
+ * @constant {Object<string, string>}
+ */
+const FIELD_ERRORS = {
+  seed: "Enter a whole number from 0 to 4294967295.",
+  count: `Enter a whole number from 1 to ${MAX_CIRCLES}.`,
+  minRadius: "Enter a number of 0 or more.",
+  maxRadius: "Enter a number of 0 or more.",
+  opacity: "Enter a number from 0 to 1.",
+  strokeWidth: "Enter a number of 0 or more.",
+};
+
+/**
+ * Connect the control panel form to the settings. Each form field is named
+ * after the setting it edits. When a field changes the whole form is
+ * checked; problems are shown next to the fields at fault and nothing
+ * changes, otherwise settings is updated and onChange is called with the
+ * names of the settings that changed. Changing the radius unit converts
+ * the radius fields so the circles keep their size.
+ *
+ * @param {!HTMLFormElement} form The control panel
+ * @param {Settings} settings The settings to show and update in place
+ * @param {function(): object} getCanvasDimensions Returns the current width
+ *        and height of the canvas, to check radii against
+ * @param {Object<string, number>} rendererLimits Most circles each renderer
+ *        can draw, by renderer name; see {@link validateSettings}
+ * @param {function(string[])} onChange Called with the names of the
+ *        settings that changed, after settings is updated
+ * @returns {ControlPanel} The panel
+ */
+export function createControlPanel(
+  form,
+  settings,
+  getCanvasDimensions,
+  rendererLimits,
+  onChange
+) {
+  const fields = Array.from(form.elements).filter((element) =>
+    Object.prototype.hasOwnProperty.call(SETTING_PARSERS, element.name)
+  );
+
+  const showErrors = (errors) => {
+    form.querySelectorAll("[data-error-for]").forEach((output) => {
+      const message = errors[output.dataset.errorFor] || "";
+      output.textContent = message;
+      const field = form.elements[output.dataset.errorFor];
+      if (field) {
+        field.setAttribute("aria-invalid", message ? "true" : "false");
+      }
+    });
+  };
+
+  // the unit the radius fields are in, which is not the saved unit while
+  // the form has errors
+  let radiusUnit = settings.radiusUnit;
+
+  const update = () => {
+    fields.forEach((field) => {
+      field.value = settings[field.name];
+    });
+    radiusUnit = settings.radiusUnit;
+    showErrors({});
+  };
+
+  const onInput = (event) => {
+    if (!fields.includes(event.target)) {
+      return;
+    }
+
+    const unit = SETTING_PARSERS.radiusUnit(form.elements.radiusUnit.value);
+    if (unit !== null && unit !== radiusUnit) {
+      ["minRadius", "maxRadius"].forEach((name) => {
+        const value = SETTING_PARSERS[name](form.elements[name].value);
+        if (value !== null) {
+          form.elements[name].value = convertRadius(
+            value,
+            radiusUnit,
+            unit,
+            getCanvasDimensions()
+          );
+        }
+      });
+      radiusUnit = unit;
+    }
+
+    const candidate = { ...settings };
+    const errors = {};
+    fields.forEach((field) => {
+      const value = SETTING_PARSERS[field.name](field.value);
+      if (value === null) {
+        errors[field.name] = FIELD_ERRORS[field.name] || "Choose a value.";
+      } else {
+        candidate[field.name] = value;
+      }
+    });
+    if (Object.keys(errors).length === 0) {
+      Object.assign(
+        errors,
+        validateSettings(candidate, getCanvasDimensions(), rendererLimits)
+      );
+    }
+
+    showErrors(errors);
+    if (Object.keys(errors).length > 0) {
+      return;
+    }
+
+    // fields left invalid earlier may have become usable with this change
+    const changed = Object.keys(candidate).filter(
+      (key) => candidate[key] !== settings[key]
+    );
+    if (changed.length > 0) {
+      Object.assign(settings, candidate);
+      onChange(changed);
+    }
+  };
+  form.addEventListener("input", onInput);
+  form.addEventListener("change", onInput);
+  form.addEventListener("submit", (event) => event.preventDefault());
+
+  form.querySelector("#regenerate").addEventListener("click", () => {
+    settings.seed = randomSeed();
+    form.elements.seed.value = settings.seed;
+    onChange(["seed"]);
+  });
+
+  update();
+  return { update: update, showErrors: showErrors };
+}
+
+/**
+ * Control panel from {@link createControlPanel}
+ *
+ * @typedef {object} ControlPanel
+ * @property {function()} update Show the current settings in the form, for
+ *           when settings change outside the panel
+ * @property {function(Object<string, string>)} showErrors Show messages
+ *           next to the fields named by the keys, clearing all others
+ */
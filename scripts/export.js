@@ -0,0 +1,453 @@
+import { CIRCLE_ELEMENTS } from "./generate.js";
+import { toHexColor } from "./palettes.js";
+import { parseSeed } from "./random.js";
+import { RENDERERS, RENDER_MODES } from "./renderers.js";
+import { rescaleCircleData } from "./resize.js";
+import { SHAPES, readShape, roundedRectSize } from "./shapes.js";
+
+/**
+ * Version written to exported JSON layouts, checked when importing
+ * @constant {number}
+ */
+export const LAYOUT_VERSION = 1;
+
+/**
+ * Write circles as an SVG document the same size as the canvas. Circle 0 is
+ * written last so it is on top, as when rendered. The position based
+ * "gradient" fill can't be expressed per pixel in SVG, so each circle gets
+ * the gradient color at its center. Outlines are drawn inside the edge, as
+ * in the shaders; for shapes with corners the inset outline is close to,
+ * but not exactly, the shaders' outline.
+ *
+ * @param {!Float32Array} circleData Circles from {@link generateCircleUniformData}
+ * @param {object} canvasDimensions width and height of canvas
+ * @param {RenderStyle} style The style the circles are drawn with
+ * @returns {string} The SVG document
+ */
+export function circlesToSVG(circleData, canvasDimensions, style) {
+  const { width, height } = canvasDimensions;
+  const background = style.background;
+  const lines = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `  <rect width="${width}" height="${height}" fill="${toHexColor(
+      background
+    )}" fill-opacity="${trimDecimals(background.a)}"/>`,
+  ];
+
+  for (
+    let i = circleData.length - CIRCLE_ELEMENTS;
+    i >= 0;
+    i -= CIRCLE_ELEMENTS
+  ) {
+    const x = circleData[i + 0];
+    const y = circleData[i + 1];
+    const r = circleData[i + 2];
+    // the stored color is from where the circle was generated, and it may
+    // have moved since
+    const color = style.gradient
+      ? { r: x / width, g: y / height, b: 0.5, a: circleData[i + 6] }
+      : readColor(circleData, i);
+    const shape = readShape(circleData, i);
+    const fill = `fill="${toHexColor(color)}" fill-opacity="${trimDecimals(
+      color.a
+    )}"`;
+    // SVG strokes are centered on the path, so shrink the path by half
+    const strokeWidth = Math.min(style.strokeWidth, r);
+    const stroke = (strokeColor) =>
+      `stroke="${toHexColor(strokeColor)}" stroke-opacity="${trimDecimals(
+        strokeColor.a
+      )}" stroke-width="${trimDecimals(strokeWidth)}"`;
+
+    // SVG y goes down, gl_FragCoord y goes up
+    const outline = shapeToSVG(x, height - y, r, shape, strokeWidth / 2);
+    if (style.mode === "fill") {
+      lines.push(`  <${shapeToSVG(x, height - y, r, shape, 0)} ${fill}/>`);
+    } else if (style.mode === "outline") {
+      lines.push(`  <${outline} fill="none" ${stroke(color)}/>`);
+    } else {
+      lines.push(
+        `  <${shapeToSVG(x, height - y, r, shape, 0)} ${fill}/>`,
+        `  <${outline} fill="none" ${stroke(style.strokeColor)}/>`
+      );
+    }
+  }
+
+  lines.push("</svg>");
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Write circles and everything needed to draw them again as JSON
+ *
+ * @param {!Float32Array} circleData Circles from {@link generateCircleUniformData}
+ * @param {Layout} layout seed, canvasDimensions and style of the circles;
+ *        layout.circleData is ignored
+ * @returns {string} The JSON text
+ */
+export function circlesToJSON(circleData, layout) {
+  const circles = [];
+  for (let i = 0; i < circleData.length; i += CIRCLE_ELEMENTS) {
+    const circle = {
+      x: circleData[i + 0],
+      y: circleData[i + 1],
+      r: circleData[i + 2],
+      color: readColor(circleData, i),
+    };
+    // circles are written without a shape, as before shapes existed
+    const shape = readShape(circleData, i);
+    if (shape.type !== SHAPES.circle) {
+      circle.shape = {
+        type: Object.keys(SHAPES)[shape.type],
+        rotation: shape.rotation,
+        params: [shape.a, shape.b],
+      };
+    }
+    circles.push(circle);
+  }
+
+  return JSON.stringify(
+    {
+      version: LAYOUT_VERSION,
+      seed: layout.seed,
+      canvas: {
+        width: layout.canvasDimensions.width,
+        height: layout.canvasDimensions.height,
+      },
+      background: layout.style.background,
+      gradient: layout.style.gradient,
+      mode: layout.style.mode,
+      strokeWidth: layout.style.strokeWidth,
+      strokeColor: layout.style.strokeColor,
+      circles: circles,
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * Read a layout written by {@link circlesToJSON}
+ *
+ * @param {string} text The JSON text
+ * @throws {Error} If the text is not a valid layout
+ * @returns {Layout} The layout
+ */
+export function parseCirclesJSON(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`ERROR reading layout: ${error.message}`);
+  }
+
+  if (!json || json.version !== LAYOUT_VERSION) {
+    throw new Error(`ERROR reading layout: expected version ${LAYOUT_VERSION}`);
+  }
+  if (
+    !json.canvas ||
+    !(json.canvas.width > 0) ||
+    !(json.canvas.height > 0) ||
+    !isColor(json.background) ||
+    !Array.isArray(json.circles)
+  ) {
+    throw new Error(
+      "ERROR reading layout: missing canvas, background or circles"
+    );
+  }
+
+  const circleData = new Float32Array(CIRCLE_ELEMENTS * json.circles.length);
+  json.circles.forEach((circle, index) => {
+    if (
+      !circle ||
+      !Number.isFinite(circle.x) ||
+      !Number.isFinite(circle.y) ||
+      !(circle.r >= 0) ||
+      !isColor(circle.color) ||
+      (circle.shape !== undefined && !isShape(circle.shape))
+    ) {
+      throw new Error(`ERROR reading layout: circle ${index} is not valid`);
+    }
+    const shape = circle.shape || {
+      type: "circle",
+      rotation: 0,
+      params: [0, 0],
+    };
+    circleData.set(
+      [
+        circle.x,
+        circle.y,
+        circle.r,
+        circle.color.r,
+        circle.color.g,
+        circle.color.b,
+        circle.color.a,
+        SHAPES[shape.type],
+        shape.rotation,
+        shape.params[0],
+        shape.params[1],
+      ],
+      CIRCLE_ELEMENTS * index
+    );
+  });
+
+  // layouts saved before render modes existed are filled
+  return {
+    circleData: circleData,
+    seed: parseSeed(String(json.seed)),
+    canvasDimensions: { width: json.canvas.width, height: json.canvas.height },
+    style: {
+      background: json.background,
+      gradient: Boolean(json.gradient),
+      mode: RENDER_MODES.includes(json.mode) ? json.mode : "fill",
+      strokeWidth: json.strokeWidth >= 0 ? json.strokeWidth : 0,
+      strokeColor: isColor(json.strokeColor)
+        ? json.strokeColor
+        : { r: 0, g: 0, b: 0, a: 1 },
+    },
+  };
+}
+
+/**
+ * Render circles to a PNG image larger than the canvas by drawing them on
+ * an off-screen canvas with its own WebGL context
+ *
+ * @param {string} rendererName Name of the renderer in {@link RENDERERS}
+ * @param {!Float32Array} circleData Circles from {@link generateCircleUniformData}
+ * @param {object} canvasDimensions width and height the circles fit
+ * @param {RenderStyle} style The style to draw with
+ * @param {number} scale How many times larger than canvasDimensions to render
+ * @throws {Error} If WebGL is unavailable, the image would be too large or
+ *         drawing fails
+ * @returns {Promise<Blob>} The PNG image; rejected if the browser can't
+ *          encode it
+ */
+export function renderToPNG(
+  rendererName,
+  circleData,
+  canvasDimensions,
+  style,
+  scale
+) {
+  const size = {
+    width: Math.round(canvasDimensions.width * scale),
+    height: Math.round(canvasDimensions.height * scale),
+  };
+  const offscreen = document.createElement("canvas");
+  offscreen.width = size.width;
+  offscreen.height = size.height;
+
+  const gl = offscreen.getContext("webgl", { preserveDrawingBuffer: true });
+  if (!gl) {
+    throw new Error("ERROR: browser does not support WebGL");
+  }
+
+  let renderer = null;
+  const release = () => {
+    if (renderer) {
+      renderer.dispose();
+    }
+    const lose = gl.getExtension("WEBGL_lose_context");
+    if (lose) {
+      lose.loseContext();
+    }
+  };
+
+  try {
+    const maxSize = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+    if (size.width > maxSize[0] || size.height > maxSize[1]) {
+      throw new Error(
+        `ERROR exporting: ${size.width}x${size.height} is larger than ` +
+          `the largest image this browser can draw, ${maxSize[0]}x${maxSize[1]}`
+      );
+    }
+    // browsers quietly make drawing buffers smaller when short of memory,
+    // which would crop the image
+    if (
+      gl.drawingBufferWidth !== size.width ||
+      gl.drawingBufferHeight !== size.height
+    ) {
+      throw new Error(
+        `ERROR exporting: the browser could only make a ` +
+          `${gl.drawingBufferWidth}x${gl.drawingBufferHeight} image, not ` +
+          `${size.width}x${size.height}`
+      );
+    }
+
+    const scaled = circleData.slice();
+    rescaleCircleData(scaled, canvasDimensions, size);
+    renderer = RENDERERS[rendererName](gl);
+    renderer.draw(scaled, size, {
+      ...style,
+      strokeWidth: style.strokeWidth * scale,
+    });
+  } catch (error) {
+    release();
+    throw error;
+  }
+
+  return new Promise((resolve, reject) => {
+    offscreen.toBlob((blob) => {
+      release();
+      if (blob) {
+        resolve(blob);
+      } else {
+        // e.g. the browser ran out of memory encoding the image
+        reject(new Error("ERROR exporting: the browser couldn't make the PNG"));
+      }
+    }, "image/png");
+  });
+}
+
+/**
+ * Save a blob or text as a file through the browser's download
+ *
+ * @param {string} filename Name to save the file as
+ * @param {Blob|string} contents The file contents
+ * @param {string} [type] MIME type when contents is a string
+ */
+export function downloadFile(filename, contents, type = "text/plain") {
+  const blob =
+    contents instanceof Blob ? contents : new Blob([contents], { type: type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // give the download a moment to start before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Write the SVG element name and geometry attributes for a shape, shrunk
+ * by inset pixels on every side
+ *
+ * @param {number} x x of the center in SVG coordinates
+ * @param {number} y y of the center in SVG coordinates, which go down
+ * @param {number} r Radius of the circle the shape fits in
+ * @param {ShapeObject} shape The shape
+ * @param {number} inset Pixels to move the edge inwards
+ * @returns {string} The element name followed by its attributes
+ */
+function shapeToSVG(x, y, r, shape, inset) {
+  const center = `cx="${trimDecimals(x)}" cy="${trimDecimals(y)}"`;
+  // turning counterclockwise with y up is turning clockwise with y down
+  const degrees = (-shape.rotation * 180) / Math.PI;
+  const rotate = `transform="rotate(${trimDecimals(degrees)} ${trimDecimals(
+    x
+  )} ${trimDecimals(y)})"`;
+  // a circle as two half circle arcs, for rings
+  const circlePath = (radius) =>
+    `M${trimDecimals(x - radius)} ${trimDecimals(y)}` +
+    `A${trimDecimals(radius)} ${trimDecimals(radius)} 0 1 0 ` +
+    `${trimDecimals(x + radius)} ${trimDecimals(y)}` +
+    `A${trimDecimals(radius)} ${trimDecimals(radius)} 0 1 0 ` +
+    `${trimDecimals(x - radius)} ${trimDecimals(y)}Z`;
+
+  if (shape.type === SHAPES.ellipse) {
+    return `ellipse ${center} rx="${trimDecimals(
+      Math.max(r - inset, 0)
+    )}" ry="${trimDecimals(Math.max(r * shape.a - inset, 0))}" ${rotate}`;
+  }
+  if (shape.type === SHAPES.ring) {
+    const outer = Math.max(r - inset, 0);
+    const inner = Math.min(r * shape.a + inset, outer);
+    return `path d="${circlePath(outer)} ${circlePath(
+      inner
+    )}" fill-rule="evenodd"`;
+  }
+  if (shape.type === SHAPES.roundedRect) {
+    const size = roundedRectSize(r, shape);
+    const halfWidth = Math.max(size.x - inset, 0);
+    const halfHeight = Math.max(size.y - inset, 0);
+    return `rect x="${trimDecimals(x - halfWidth)}" y="${trimDecimals(
+      y - halfHeight
+    )}" width="${trimDecimals(2 * halfWidth)}" height="${trimDecimals(
+      2 * halfHeight
+    )}" rx="${trimDecimals(Math.max(size.corner - inset, 0))}" ${rotate}`;
+  }
+  if (shape.type === SHAPES.polygon) {
+    // moving each side in by inset moves the corners in further
+    const sides = Math.round(shape.a);
+    const corner = Math.max(r - inset / Math.cos(Math.PI / sides), 0);
+    const points = [];
+    for (let k = 0; k < sides; k++) {
+      const angle = shape.rotation + (2 * Math.PI * k) / sides;
+      points.push(
+        `${trimDecimals(x + corner * Math.cos(angle))},${trimDecimals(
+          y - corner * Math.sin(angle)
+        )}`
+      );
+    }
+    return `polygon points="${points.join(" ")}"`;
+  }
+  return `circle ${center} r="${trimDecimals(r - inset)}"`;
+}
+
+/**
+ * Read the color of the circle starting at baseIndex
+ *
+ * @param {!Float32Array} circleData Circle data
+ * @param {number} baseIndex Index of the circle's first element
+ * @returns {ColorObject} The circle's color
+ */
+function readColor(circleData, baseIndex) {
+  return {
+    r: circleData[baseIndex + 3],
+    g: circleData[baseIndex + 4],
+    b: circleData[baseIndex + 5],
+    a: circleData[baseIndex + 6],
+  };
+}
+
+/**
+ * Check that a value from JSON is a color object
+ *
+ * @param {*} value The value to check
+ * @returns {boolean} True if value has numeric r, g, b and a from 0.0 to 1.0
+ */
+function isColor(value) {
+  return (
+    Boolean(value) &&
+    ["r", "g", "b", "a"].every((key) => value[key] >= 0 && value[key] <= 1)
+  );
+}
+
+/**
+ * Check that a value from JSON is a circle's shape as written by
+ * {@link circlesToJSON}
+ *
+ * @param {*} value The value to check
+ * @returns {boolean} True if value has a known type, a numeric rotation and
+ *          two numeric params
+ */
+function isShape(value) {
+  return (
+    Boolean(value) &&
+    Object.prototype.hasOwnProperty.call(SHAPES, value.type) &&
+    Number.isFinite(value.rotation) &&
+    Array.isArray(value.params) &&
+    value.params.length === 2 &&
+    value.params.every(Number.isFinite) &&
+    (value.type !== "polygon" || value.params[0] >= 3)
+  );
+}
+
+/**
+ * Round to at most 3 decimal places to keep exported text short
+ *
+ * @param {number} value The number to round
+ * @returns {number} The rounded number
+ */
+function trimDecimals(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Circles and everything needed to draw them identically
+ *
+ * @typedef {object} Layout
+ * @property {Float32Array} circleData Circles as from {@link generateCircleUniformData}
+ * @property {?number} seed The seed the circles were generated from, if any
+ * @property {object} canvasDimensions width and height the circles fit
+ * @property {RenderStyle} style The style the circles are drawn with
+ */
@@ -0,0 +1,105 @@
+import { pickColor } from "./palettes.js";
+import { PLACEMENT_STRATEGIES } from "./placement.js";
+import { pickShape } from "./shapes.js";
+
+/**
+ * Number of floats per circle in the generated data: x, y, radius, then
+ * red, green, blue and alpha, then the shape type, rotation and two shape
+ * parameters (see {@link ShapeObject})
+ * @constant {number}
+ */
+export const CIRCLE_ELEMENTS = 11;
+
+/**
+ * Generates a requested number of random circles, each fully inside the
+ * canvas, with radii between radiusLimits.min and radiusLimits.max. Each
+ * circle is drawn as a circle unless options.shape asks for other shapes,
+ * which fit inside their circle.
+ * @param {number} numCircles The number of circles to generate
+ * @param {RadiusRange} radiusLimits Smallest and largest radius in pixels;
+ *        see {@link radiusLimitsInPixels}
+ * @param canvasDimension {object} width and height of canvas
+ * @param {GenerateOptions} [options] Optional generation settings
+ * @throws {Error} If options.placement is not a known placement strategy
+ * @throws {Error} If options.palette is not a known palette
+ * @throws {Error} If options.shape is not a known shape
+ * @returns {Float32Array} Of circle info, (x, y) = center, z = radius,
+ *          followed by the circle's RGBA color from 0.0 to 1.0 and its
+ *          shape; {@link CIRCLE_ELEMENTS} floats per circle. Holds
+ *          fewer than numCircles circles if the placement strategy could not
+ *          fit them all without overlapping
+ */
+export function generateCircleUniformData(
+  numCircles,
+  radiusLimits,
+  canvasDimensions,
+  options = {}
+) {
+  const random = options.random || Math.random;
+  const placement = options.placement || "uniform";
+  if (!Object.prototype.hasOwnProperty.call(PLACEMENT_STRATEGIES, placement)) {
+    throw new Error(`ERROR unknown circle placement "${placement}"`);
+  }
+
+  const circles = PLACEMENT_STRATEGIES[placement](
+    numCircles,
+    { min: radiusLimits.min, max: radiusLimits.max },
+    canvasDimensions,
+    random,
+    options
+  );
+
+  // colors are picked after placement so the palette doesn't change where
+  // circles go for a given seed
+  const palette = options.palette || "gradient";
+  const opacity = options.opacity === undefined ? 1.0 : options.opacity;
+
+  const uniformData = new Float32Array(CIRCLE_ELEMENTS * circles.length);
+  for (let i = 0; i < circles.length; i++) {
+    var baseIndex = CIRCLE_ELEMENTS * i;
+    let circle = circles[i];
+    const color = pickColor(palette, circle, canvasDimensions, random);
+    uniformData[baseIndex + 0] = circle.x;
+    uniformData[baseIndex + 1] = circle.y;
+    uniformData[baseIndex + 2] = circle.r;
+    uniformData[baseIndex + 3] = color.r;
+    uniformData[baseIndex + 4] = color.g;
+    uniformData[baseIndex + 5] = color.b;
+    uniformData[baseIndex + 6] = opacity;
+  }
+
+  // shapes are picked last so the shape doesn't change where circles go or
+  // their colors for a given seed
+  const shape = options.shape || "circle";
+  for (let i = 0; i < circles.length; i++) {
+    const baseIndex = CIRCLE_ELEMENTS * i;
+    const picked = pickShape(shape, random);
+    uniformData[baseIndex + 7] = picked.type;
+    uniformData[baseIndex + 8] = picked.rotation;
+    uniformData[baseIndex + 9] = picked.a;
+    uniformData[baseIndex + 10] = picked.b;
+  }
+
+  return uniformData;
+}
+
+/**
+ * Optional settings for {@link generateCircleUniformData}
+ *
+ * @typedef {object} GenerateOptions
+ * @property {function(): number} [random] Source of random floats in [0, 1);
+ *           use {@link createRandom} for reproducible layouts. Default is Math.random
+ * @property {string} [placement] Name of a strategy in {@link PLACEMENT_STRATEGIES}:
+ *           "uniform" (default, circles may overlap), "noOverlap" (random
+ *           placement with retries) or "poisson" (dense Poisson-disk packing)
+ * @property {number} [gap] Smallest distance in pixels between the edges of
+ *           two circles for "noOverlap" and "poisson"; default is 0
+ * @property {number} [maxAttempts] Tries per circle for "noOverlap"; default
+ *           is {@link MAX_PLACEMENT_ATTEMPTS}
+ * @property {string} [palette] Name of a palette in {@link PALETTES}; default
+ *           is "gradient"
+ * @property {number} [opacity] Alpha of every circle from 0.0 to 1.0; default
+ *           is 1.0
+ * @property {string} [shape] One of {@link SHAPE_CHOICES}; default is
+ *           "circle"
+ */
@@ -0,0 +1,503 @@
+import { CIRCLE_ELEMENTS } from "./generate.js";
+import { clamp, rescaleCircleData } from "./resize.js";
+import { readShape, shapeDistance } from "./shapes.js";
+import { VELOCITY_ELEMENTS } from "./simulation.js";
+
+/**
+ * Distance in CSS pixels from a selected circle's edge that grabs the
+ * resize handle
+ * @constant {number}
+ */
+const HANDLE_TOLERANCE = 6;
+
+/**
+ * Radius change per wheel notch, as a fraction of the radius
+ * @constant {number}
+ */
+const WHEEL_RADIUS_STEP = 0.05;
+
+/**
+ * Wheel events closer together than this many milliseconds are merged into
+ * a single undo step
+ * @constant {number}
+ */
+const WHEEL_UNDO_DELAY = 500;
+
+/**
+ * Most undo steps kept
+ * @constant {number}
+ */
+const MAX_UNDO_STEPS = 100;
+
+/**
+ * Convert a position in CSS pixels relative to the page viewport, as in
+ * pointer events, to drawing buffer pixels with the origin at the bottom
+ * left, as in gl_FragCoord in the shaders
+ *
+ * @param {number} clientX x position in CSS pixels from the viewport left
+ * @param {number} clientY y position in CSS pixels from the viewport top
+ * @param {object} rect left, top, width and height of the canvas in CSS
+ *        pixels, from getBoundingClientRect
+ * @param {object} canvasDimensions width and height of the drawing buffer
+ * @returns {object} x and y in drawing buffer pixels
+ */
+export function cssToCanvasPoint(clientX, clientY, rect, canvasDimensions) {
+  // the drawing buffer is the CSS box scaled by devicePixelRatio
+  const scaleX = canvasDimensions.width / rect.width;
+  const scaleY = canvasDimensions.height / rect.height;
+  return {
+    x: (clientX - rect.left) * scaleX,
+    y: canvasDimensions.height - (clientY - rect.top) * scaleY,
+  };
+}
+
+/**
+ * Find the circle drawn at a point. Circles earlier in the data are drawn
+ * on top, so the first circle whose shape contains the point wins, using
+ * the same distance as the shaders.
+ *
+ * @param {!Float32Array} circleData Circles from {@link generateCircleUniformData}
+ * @param {object} point x and y in drawing buffer pixels
+ * @returns {number} Index of the circle, or -1 if no circle contains point
+ */
+export function hitTestCircles(circleData, point) {
+  for (let i = 0; i < circleData.length; i += CIRCLE_ELEMENTS) {
+    const dx = point.x - circleData[i + 0];
+    const dy = point.y - circleData[i + 1];
+    const r = circleData[i + 2];
+    if (shapeDistance(dx, dy, r, readShape(circleData, i)) < 0) {
+      return i / CIRCLE_ELEMENTS;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Check whether a point is on the edge of a circle, where its resize handle
+ * is
+ *
+ * @param {!Float32Array} circleData Circle data
+ * @param {number} index Index of the circle
+ * @param {object} point x and y in drawing buffer pixels
+ * @param {number} tolerance Largest distance from the edge in drawing
+ *        buffer pixels
+ * @returns {boolean} True if point is within tolerance of the edge
+ */
+function isOnCircleEdge(circleData, index, point, tolerance) {
+  const baseIndex = CIRCLE_ELEMENTS * index;
+  const distance = Math.hypot(
+    circleData[baseIndex + 0] - point.x,
+    circleData[baseIndex + 1] - point.y
+  );
+  return Math.abs(distance - circleData[baseIndex + 2]) <= tolerance;
+}
+
+/**
+ * Copy data with one record inserted
+ *
+ * @param {!Float32Array} data Records of elements floats each
+ * @param {number} elements Number of floats per record
+ * @param {number} index Where to insert the record
+ * @param {!Array<number>} record The floats to insert
+ * @returns {Float32Array} The new data
+ */
+function insertRecord(data, elements, index, record) {
+  const result = new Float32Array(data.length + elements);
+  result.set(data.subarray(0, elements * index));
+  result.set(record, elements * index);
+  result.set(data.subarray(elements * index), elements * (index + 1));
+  return result;
+}
+
+/**
+ * Copy data with one record removed
+ *
+ * @param {!Float32Array} data Records of elements floats each
+ * @param {number} elements Number of floats per record
+ * @param {number} index The record to remove
+ * @returns {Float32Array} The new data
+ */
+function removeRecord(data, elements, index) {
+  const result = new Float32Array(data.length - elements);
+  result.set(data.subarray(0, elements * index));
+  result.set(data.subarray(elements * (index + 1)), elements * index);
+  return result;
+}
+
+/**
+ * Create an undo/redo history of snapshots. Call record with a snapshot of
+ * the state before changing it; undo and redo take the current state and
+ * return the state to restore.
+ *
+ * @param {number} [limit] Most undo steps kept; default is {@link MAX_UNDO_STEPS}
+ * @returns {HistoryObject} An empty history
+ */
+function createHistory(limit = MAX_UNDO_STEPS) {
+  const undoStack = [];
+  const redoStack = [];
+
+  return {
+    get canUndo() {
+      return undoStack.length > 0;
+    },
+    get canRedo() {
+      return redoStack.length > 0;
+    },
+    record(snapshot) {
+      undoStack.push(snapshot);
+      if (undoStack.length > limit) {
+        undoStack.shift();
+      }
+      redoStack.length = 0;
+    },
+    undo(current) {
+      if (undoStack.length === 0) {
+        return null;
+      }
+      redoStack.push(current);
+      return undoStack.pop();
+    },
+    redo(current) {
+      if (redoStack.length === 0) {
+        return null;
+      }
+      undoStack.push(current);
+      return redoStack.pop();
+    },
+    clear() {
+      undoStack.length = 0;
+      redoStack.length = 0;
+    },
+    forEach(callback) {
+      undoStack.forEach(callback);
+      redoStack.forEach(callback);
+    },
+  };
+}
+
+/**
+ * Let the user edit the circles in scene with the pointer and keyboard:
+ * click a circle to select it, drag to move it, drag its edge or use the
+ * wheel to resize it, click empty space to add a circle, Delete to remove
+ * the selected circle, Escape to deselect, and Ctrl+Z / Ctrl+Shift+Z (or
+ * Ctrl+Y) to undo and redo.
+ *
+ * @param {!HTMLCanvasElement} canvas The canvas the scene is drawn on
+ * @param {!HTMLElement} marker Element positioned over the selected circle
+ * @param {object} scene Holds circleData and, when animating, velocities;
+ *        both are replaced when circles are added or removed
+ * @param {object} canvasDimensions width and height of the drawing buffer
+ * @param {EditorOptions} options Callbacks for new circles and changes
+ * @returns {CircleEditor} The editor
+ */
+export function createCircleEditor(
+  canvas,
+  marker,
+  scene,
+  canvasDimensions,
+  options
+) {
+  const history = createHistory();
+  let selected = -1;
+  let drag = null;
+  let lastWheel = 0;
+
+  const snapshot = () => ({
+    circleData: scene.circleData.slice(),
+    velocities: scene.velocities && scene.velocities.slice(),
+    selected: selected,
+  });
+
+  const restore = (state) => {
+    scene.circleData = state.circleData;
+    scene.velocities = state.velocities;
+    selected = state.selected;
+    options.onChange();
+  };
+
+  const toPoint = (event) =>
+    cssToCanvasPoint(
+      event.clientX,
+      event.clientY,
+      canvas.getBoundingClientRect(),
+      canvasDimensions
+    );
+
+  const cssScale = () =>
+    canvasDimensions.width / canvas.getBoundingClientRect().width;
+
+  // keep a moved or resized circle inside the canvas
+  const setCircle = (index, x, y, r) => {
+    const baseIndex = CIRCLE_ELEMENTS * index;
+    const radius = clamp(
+      r,
+      1,
+      Math.min(canvasDimensions.width, canvasDimensions.height) / 2
+    );
+    scene.circleData[baseIndex + 0] = clamp(
+      x,
+      radius,
+      canvasDimensions.width - radius
+    );
+    scene.circleData[baseIndex + 1] = clamp(
+      y,
+      radius,
+      canvasDimensions.height - radius
+    );
+    scene.circleData[baseIndex + 2] = radius;
+  };
+
+  const removeSelected = () => {
+    history.record(snapshot());
+    scene.circleData = removeRecord(
+      scene.circleData,
+      CIRCLE_ELEMENTS,
+      selected
+    );
+    if (scene.velocities) {
+      scene.velocities = removeRecord(
+        scene.velocities,
+        VELOCITY_ELEMENTS,
+        selected
+      );
+    }
+    selected = -1;
+    options.onChange();
+  };
+
+  canvas.addEventListener("pointerdown", (event) => {
+    const point = toPoint(event);
+    const before = snapshot();
+
+    if (
+      selected !== -1 &&
+      isOnCircleEdge(
+        scene.circleData,
+        selected,
+        point,
+        HANDLE_TOLERANCE * cssScale()
+      )
+    ) {
+      drag = { mode: "resize", before: before };
+    } else {
+      selected = hitTestCircles(scene.circleData, point);
+      if (selected === -1) {
+        // new circles go on top, which is the front of the data
+        history.record(before);
+        scene.circleData = insertRecord(
+          scene.circleData,
+          CIRCLE_ELEMENTS,
+          0,
+          options.createCircle(point)
+        );
+        if (scene.velocities) {
+          scene.velocities = insertRecord(
+            scene.velocities,
+            VELOCITY_ELEMENTS,
+            0,
+            [0, 0]
+          );
+        }
+        selected = 0;
+        drag = null;
+        options.onChange();
+        return;
+      }
+      const baseIndex = CIRCLE_ELEMENTS * selected;
+      drag = {
+        mode: "move",
+        before: before,
+        dx: scene.circleData[baseIndex + 0] - point.x,
+        dy: scene.circleData[baseIndex + 1] - point.y,
+      };
+    }
+    drag.moved = false;
+    canvas.setPointerCapture(event.pointerId);
+    options.onChange();
+  });
+
+  canvas.addEventListener("pointermove", (event) => {
+    if (!drag) {
+      return;
+    }
+    const point = toPoint(event);
+    const baseIndex = CIRCLE_ELEMENTS * selected;
+    const x = scene.circleData[baseIndex + 0];
+    const y = scene.circleData[baseIndex + 1];
+    if (drag.mode === "move") {
+      setCircle(
+        selected,
+        point.x + drag.dx,
+        point.y + drag.dy,
+        scene.circleData[baseIndex + 2]
+      );
+    } else {
+      setCircle(selected, x, y, Math.hypot(point.x - x, point.y - y));
+    }
+    drag.moved = true;
+    options.onChange();
+  });
+
+  const endDrag = () => {
+    if (drag && drag.moved) {
+      history.record(drag.before);
+    }
+    drag = null;
+  };
+  canvas.addEventListener("pointerup", endDrag);
+  canvas.addEventListener("pointercancel", endDrag);
+
+  canvas.addEventListener(
+    "wheel",
+    (event) => {
+      if (selected === -1) {
+        return;
+      }
+      event.preventDefault();
+      if (event.timeStamp - lastWheel > WHEEL_UNDO_DELAY) {
+        history.record(snapshot());
+      }
+      lastWheel = event.timeStamp;
+
+      const baseIndex = CIRCLE_ELEMENTS * selected;
+      const factor =
+        event.deltaY < 0 ? 1 + WHEEL_RADIUS_STEP : 1 - WHEEL_RADIUS_STEP;
+      setCircle(
+        selected,
+        scene.circleData[baseIndex + 0],
+        scene.circleData[baseIndex + 1],
+        scene.circleData[baseIndex + 2] * factor
+      );
+      options.onChange();
+    },
+    { passive: false }
+  );
+
+  const editor = {
+    get selected() {
+      return selected;
+    },
+    undo() {
+      const state = history.undo(snapshot());
+      if (state) {
+        restore(state);
+      }
+    },
+    redo() {
+      const state = history.redo(snapshot());
+      if (state) {
+        restore(state);
+      }
+    },
+    deselect() {
+      selected = -1;
+      options.onChange();
+    },
+    clearHistory() {
+      history.clear();
+      drag = null;
+    },
+    rescaleHistory(from, to) {
+      history.forEach((state) => rescaleCircleData(state.circleData, from, to));
+      if (drag) {
+        rescaleCircleData(drag.before.circleData, from, to);
+      }
+    },
+    updateMarker() {
+      if (
+        selected === -1 ||
+        selected >= scene.circleData.length / CIRCLE_ELEMENTS
+      ) {
+        marker.hidden = true;
+        return;
+      }
+      // position the marker in CSS pixels relative to the canvas
+      const scale = cssScale();
+      const baseIndex = CIRCLE_ELEMENTS * selected;
+      const r = scene.circleData[baseIndex + 2] / scale;
+      const left = canvas.offsetLeft + scene.circleData[baseIndex + 0] / scale;
+      const top =
+        canvas.offsetTop +
+        (canvasDimensions.height - scene.circleData[baseIndex + 1]) / scale;
+      marker.hidden = false;
+      marker.style.left = `${left - r}px`;
+      marker.style.top = `${top - r}px`;
+      marker.style.width = `${2 * r}px`;
+      marker.style.height = `${2 * r}px`;
+    },
+  };
+
+  document.addEventListener("keydown", (event) => {
+    // leave typing in form fields alone
+    if (
+      event.target.closest &&
+      event.target.closest("input, select, textarea")
+    ) {
+      return;
+    }
+    const key = event.key.toLowerCase();
+    if (
+      (event.key === "Delete" || event.key === "Backspace") &&
+      selected !== -1
+    ) {
+      event.preventDefault();
+      removeSelected();
+    } else if (event.key === "Escape") {
+      editor.deselect();
+    } else if ((event.ctrlKey || event.metaKey) && key === "z") {
+      event.preventDefault();
+      if (event.shiftKey) {
+        editor.redo();
+      } else {
+        editor.undo();
+      }
+    } else if ((event.ctrlKey || event.metaKey) && key === "y") {
+      event.preventDefault();
+      editor.redo();
+    }
+  });
+
+  return editor;
+}
+
+/**
+ * Undo and redo history from {@link createHistory}
+ *
+ * @typedef {object} HistoryObject
+ * @property {boolean} canUndo True if there is a step to undo
+ * @property {boolean} canRedo True if there is a step to redo
+ * @property {function(*)} record Save the state before a change; clears redo
+ * @property {function(*): *} undo Given the current state, return the state
+ *           to restore, or null if there is nothing to undo
+ * @property {function(*): *} redo Given the current state, return the state
+ *           to restore, or null if there is nothing to redo
+ * @property {function()} clear Forget every undo and redo step
+ * @property {function(function(*))} forEach Call a function with every
+ *           saved state
+ */
+
+/**
+ * Callbacks for {@link createCircleEditor}
+ *
+ * @typedef {object} EditorOptions
+ * @property {function(object): Array<number>} createCircle Make the
+ *           CIRCLE_ELEMENTS floats for a new circle centered on a point
+ * @property {function()} onChange Called after the circles or selection change
+ */
+
+/**
+ * Pointer editor from {@link createCircleEditor}
+ *
+ * @typedef {object} CircleEditor
+ * @property {number} selected Index of the selected circle, or -1
+ * @property {function()} undo Undo the last change
+ * @property {function()} redo Redo the last undone change
+ * @property {function()} deselect Clear the selection
+ * @property {function()} clearHistory Forget the undo and redo steps, for
+ *           when the circles are replaced
+ * @property {function(object, object)} rescaleHistory Rescale the circles
+ *           saved for undo and redo from one canvas size to another, as
+ *           {@link rescaleCircleData} does for the scene
+ * @property {function()} updateMarker Move the selection marker to the
+ *           selected circle; call after every draw
+ */
@@ -0,0 +1,56 @@
+import { annotateSource } from "./webgl.js";
+
+/**
+ * Show errors in a panel over the page until it is dismissed, instead of
+ * only in the console. Shader errors from {@link makeShader} and
+ * {@link makeProgram} are shown as one block per diagnostic with the
+ * generated source lines around it.
+ *
+ * The element must contain an element with the class "error-title", one
+ * with the class "error-details" and a button with the class
+ * "error-dismiss".
+ *
+ * @param {!HTMLElement} element The overlay, hidden until an error is shown
+ * @returns {ErrorOverlay} The overlay
+ */
+export function createErrorOverlay(element) {
+  const title = element.querySelector(".error-title");
+  const details = element.querySelector(".error-details");
+  const dismiss = element.querySelector(".error-dismiss");
+
+  const hide = () => {
+    element.hidden = true;
+  };
+  dismiss.addEventListener("click", hide);
+
+  const show = (heading, error) => {
+    title.textContent = heading;
+    details.replaceChildren();
+
+    if (error && Array.isArray(error.diagnostics)) {
+      error.diagnostics.forEach((diagnostic) => {
+        const block = document.createElement("pre");
+        block.textContent = annotateSource(error.source || "", diagnostic);
+        details.append(block);
+      });
+    } else {
+      const text = document.createElement("p");
+      text.textContent = error instanceof Error ? error.message : String(error);
+      details.append(text);
+    }
+
+    element.hidden = false;
+    dismiss.focus();
+  };
+
+  return { show: show, hide: hide };
+}
+
+/**
+ * Error overlay from {@link createErrorOverlay}
+ *
+ * @typedef {object} ErrorOverlay
+ * @property {function(string, (Error|string))} show Show a heading and an
+ *           error or message, replacing whatever was shown before
+ * @property {function()} hide Hide the overlay
+ */
@@ -0,0 +1,97 @@
+/**
+ * Named circle color palettes. "gradient" colors each circle by its position
+ * on the canvas, matching the original shader; the others pick a color for
+ * each circle at random from a list.
+ * @constant {Object<string, ?string[]>}
+ */
+export const PALETTES = {
+  gradient: null,
+  pastel: [
+    "#fbb4ae",
+    "#b3cde3",
+    "#ccebc5",
+    "#decbe4",
+    "#fed9a6",
+    "#ffffcc",
+    "#e5d8bd",
+    "#fddaec",
+  ],
+  monochrome: ["#111111", "#444444", "#777777", "#aaaaaa", "#dddddd"],
+  highContrast: ["#000000", "#ffffff", "#ffff00", "#00ffff", "#ff00ff"],
+  // Okabe-Ito palette, distinguishable with common color vision deficiencies
+  colorBlindSafe: [
+    "#e69f00",
+    "#56b4e9",
+    "#009e73",
+    "#f0e442",
+    "#0072b2",
+    "#d55e00",
+    "#cc79a7",
+    "#000000",
+  ],
+};
+
+/**
+ * Choose a color for a circle from a palette
+ *
+ * @param {string} palette Name of a palette in {@link PALETTES}
+ * @param {CircleObject} circle The circle to color
+ * @param {object} canvasDimensions width and height of canvas
+ * @param {function(): number} random Source of random floats in [0, 1)
+ * @throws {Error} If palette is not a known palette
+ * @returns {ColorObject} The color, fully opaque
+ */
+export function pickColor(palette, circle, canvasDimensions, random) {
+  if (!Object.prototype.hasOwnProperty.call(PALETTES, palette)) {
+    throw new Error(`ERROR unknown palette "${palette}"`);
+  }
+
+  const colors = PALETTES[palette];
+  if (colors === null) {
+    return {
+      r: circle.x / canvasDimensions.width,
+      g: circle.y / canvasDimensions.height,
+      b: 0.5,
+      a: 1.0,
+    };
+  }
+  return parseHexColor(colors[Math.floor(random() * colors.length)]);
+}
+
+/**
+ * Convert a CSS hex color such as "#e69f00" to a color object
+ *
+ * @param {string} hex Six digit hex color with a leading #
+ * @returns {?ColorObject} The color, fully opaque, or null if hex is not valid
+ */
+export function parseHexColor(hex) {
+  const match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex);
+  if (!match) {
+    return null;
+  }
+  return {
+    r: parseInt(match[1], 16) / 255,
+    g: parseInt(match[2], 16) / 255,
+    b: parseInt(match[3], 16) / 255,
+    a: 1.0,
+  };
+}
+
+/**
+ * Convert a color object to a CSS hex color, ignoring alpha
+ *
+ * @param {ColorObject} color The color to convert
+ * @returns {string} Six digit hex color with a leading #
+ */
+export function toHexColor(color) {
+  return (
+    "#" +
+    [color.r, color.g, color.b]
+      .map((value) =>
+        Math.round(Math.min(Math.max(value, 0), 1) * 255)
+          .toString(16)
+          .padStart(2, "0")
+      )
+      .join("")
+  );
+}
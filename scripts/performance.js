@@ -0,0 +1,432 @@
+import { CIRCLE_ELEMENTS, generateCircleUniformData } from "./generate.js";
+import { createRandom } from "./random.js";
+import { RENDERERS } from "./renderers.js";
+
+/**
+ * Number of recent frames the stats overlay averages over
+ * @constant {number}
+ */
+const STATS_FRAMES = 60;
+
+/**
+ * Milliseconds between updates of the stats overlay text while animating
+ * @constant {number}
+ */
+const STATS_UPDATE_INTERVAL = 250;
+
+/**
+ * Frames further apart than this many milliseconds start a new run of
+ * frames, so time spent idle isn't counted as frame time
+ * @constant {number}
+ */
+const STATS_IDLE_TIME = 1000;
+
+/**
+ * Circle counts the benchmark draws by default
+ * @constant {number[]}
+ */
+const BENCHMARK_COUNTS = [10, 100, 300, 1000, 10000];
+
+/**
+ * Drawing buffer sizes the benchmark draws at by default
+ * @constant {object[]}
+ */
+const BENCHMARK_RESOLUTIONS = [
+  { width: 640, height: 360 },
+  { width: 1280, height: 720 },
+  { width: 1920, height: 1080 },
+];
+
+/**
+ * Frames timed for each benchmark case, after one untimed frame that
+ * compiles shaders and uploads data
+ * @constant {number}
+ */
+const BENCHMARK_FRAMES = 20;
+
+/**
+ * Most animation frames to wait for a benchmark case's GPU timings before
+ * giving up on the ones still missing
+ * @constant {number}
+ */
+const BENCHMARK_QUERY_FRAMES = 10;
+
+/**
+ * Seed of the circles the benchmark draws, so runs are comparable
+ * @constant {number}
+ */
+const BENCHMARK_SEED = 1;
+
+/**
+ * Measure how long the GPU takes to draw, using the EXT_disjoint_timer_query
+ * extension. Results arrive a few frames late, so each measurement is a
+ * query that is checked later.
+ *
+ * @param {!WebGLRenderingContext} gl The current WebGL rendering context
+ * @returns {GPUTimer} The timer; supported is false if the extension is
+ *          missing, and then nothing is measured
+ */
+export function createGPUTimer(gl) {
+  let ext = gl.getExtension("EXT_disjoint_timer_query");
+  let pending = [];
+
+  // queries belong to the context, so start over after it is restored
+  gl.canvas.addEventListener("webglcontextrestored", () => {
+    ext = gl.getExtension("EXT_disjoint_timer_query");
+    pending = [];
+  });
+
+  return {
+    get supported() {
+      return Boolean(ext);
+    },
+    measure(draw) {
+      if (!ext || gl.isContextLost()) {
+        draw();
+        return;
+      }
+      const query = ext.createQueryEXT();
+      ext.beginQueryEXT(ext.TIME_ELAPSED_EXT, query);
+      try {
+        draw();
+      } finally {
+        ext.endQueryEXT(ext.TIME_ELAPSED_EXT);
+        pending.push(query);
+      }
+    },
+    results() {
+      if (!ext || gl.isContextLost()) {
+        return [];
+      }
+      // a disjoint operation, like a GPU clock change, spoils every query
+      // in flight
+      const disjoint = gl.getParameter(ext.GPU_DISJOINT_EXT);
+      const times = [];
+      while (
+        pending.length > 0 &&
+        ext.getQueryObjectEXT(pending[0], ext.QUERY_RESULT_AVAILABLE_EXT)
+      ) {
+        const query = pending.shift();
+        if (!disjoint) {
+          // nanoseconds to milliseconds
+          times.push(ext.getQueryObjectEXT(query, ext.QUERY_RESULT_EXT) / 1e6);
+        }
+        ext.deleteQueryEXT(query);
+      }
+      return times;
+    },
+    get pending() {
+      return pending.length;
+    },
+    discard() {
+      if (ext && !gl.isContextLost()) {
+        pending.forEach((query) => ext.deleteQueryEXT(query));
+      }
+      pending = [];
+    },
+  };
+}
+
+/**
+ * Show frame time, frames per second, circle count, canvas resolution and,
+ * where supported, GPU time in an element over the canvas. Draws are timed
+ * only while the overlay is enabled. Frame time is how long the draw call
+ * takes; frames per second is only shown while animating, as otherwise
+ * frames are only drawn when something changes.
+ *
+ * @param {!HTMLElement} element Where to show the stats; hidden while the
+ *        overlay is disabled
+ * @param {!WebGLRenderingContext} gl The context draws are made with
+ * @returns {StatsOverlay} The overlay
+ */
+export function createStatsOverlay(element, gl) {
+  const timer = createGPUTimer(gl);
+  let enabled = false;
+  let lastFrame = null;
+  let lastUpdate = 0;
+  let frameTimes = [];
+  let frameGaps = [];
+  let gpuTimes = [];
+
+  const average = (values) =>
+    values.length === 0
+      ? null
+      : values.reduce((sum, value) => sum + value, 0) / values.length;
+  const recent = (values) => values.slice(-STATS_FRAMES);
+  const format = (milliseconds) =>
+    milliseconds === null ? "-" : `${milliseconds.toFixed(2)} ms`;
+
+  const update = (info) => {
+    const frameGap = info.animating ? average(frameGaps) : null;
+    element.textContent = [
+      `frame ${format(average(frameTimes))}`,
+      `fps   ${frameGap === null ? "-" : (1000 / frameGap).toFixed(1)}`,
+      `gpu   ${timer.supported ? format(average(gpuTimes)) : "not available"}`,
+      `count ${info.count}`,
+      `size  ${info.width}x${info.height}`,
+      `draw  ${info.renderer}`,
+    ].join("\n");
+  };
+
+  return {
+    get enabled() {
+      return enabled;
+    },
+    set enabled(value) {
+      enabled = value;
+      element.hidden = !value;
+      lastFrame = null;
+      frameTimes = [];
+      frameGaps = [];
+      gpuTimes = [];
+    },
+    measure(draw, info) {
+      if (!enabled) {
+        draw();
+        return;
+      }
+
+      const now = performance.now();
+      if (!info.animating) {
+        frameGaps = [];
+      } else if (lastFrame !== null && now - lastFrame < STATS_IDLE_TIME) {
+        frameGaps = recent([...frameGaps, now - lastFrame]);
+      }
+      lastFrame = info.animating ? now : null;
+
+      timer.measure(draw);
+      frameTimes = recent([...frameTimes, performance.now() - now]);
+      gpuTimes = recent([...gpuTimes, ...timer.results()]);
+
+      // a still picture may not be drawn again, so show its frame now
+      if (!info.animating || now - lastUpdate >= STATS_UPDATE_INTERVAL) {
+        lastUpdate = now;
+        update(info);
+      }
+    },
+  };
+}
+
+/**
+ * Time every renderer drawing every circle count at every resolution on an
+ * off-screen canvas. Each case draws the same seeded circles, waiting for
+ * the GPU to finish each frame so the wall clock time covers the whole
+ * draw. Cases run one per animation frame to keep the page responsive.
+ *
+ * @param {BenchmarkOptions} options What to draw and how
+ * @throws {Error} If WebGL is unavailable
+ * @returns {Promise<BenchmarkResult[]>} One result per case
+ */
+export async function runBenchmark(options) {
+  const renderers = options.renderers || RENDERERS;
+  const counts = options.counts || BENCHMARK_COUNTS;
+  const resolutions = options.resolutions || BENCHMARK_RESOLUTIONS;
+  const frames = options.frames || BENCHMARK_FRAMES;
+  const onProgress = options.onProgress || (() => {});
+
+  const offscreen = document.createElement("canvas");
+  const gl = offscreen.getContext("webgl");
+  if (!gl) {
+    throw new Error("ERROR: browser does not support WebGL");
+  }
+  const timer = createGPUTimer(gl);
+  const pixel = new Uint8Array(4);
+  const nextFrame = () =>
+    new Promise((resolve) => window.requestAnimationFrame(resolve));
+
+  const cases = [];
+  Object.keys(renderers).forEach((name) =>
+    resolutions.forEach((size) =>
+      counts.forEach((count) => cases.push({ name, size, count }))
+    )
+  );
+
+  const results = [];
+  try {
+    for (let index = 0; index < cases.length; index++) {
+      const { name, size, count } = cases[index];
+      onProgress(index, cases.length);
+      await nextFrame();
+
+      offscreen.width = size.width;
+      offscreen.height = size.height;
+      const smaller = Math.min(size.width, size.height);
+      const circleData = generateCircleUniformData(
+        count,
+        {
+          min: options.radius.min * smaller,
+          max: options.radius.max * smaller,
+        },
+        size,
+        { random: createRandom(BENCHMARK_SEED), shape: options.shape }
+      );
+      const result = {
+        renderer: name,
+        width: size.width,
+        height: size.height,
+        count: circleData.length / CIRCLE_ELEMENTS,
+        frames: frames,
+        frameTime: null,
+        gpuTime: null,
+        error: null,
+      };
+
+      let renderer = null;
+      try {
+        renderer = renderers[name](gl);
+        const draw = () => {
+          renderer.draw(circleData, size, options.style);
+          // reading a pixel waits for the GPU to finish the frame
+          gl.readPixels(0, 0, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, pixel);
+        };
+        draw();
+
+        const start = performance.now();
+        for (let frame = 0; frame < frames; frame++) {
+          timer.measure(draw);
+        }
+        result.frameTime = (performance.now() - start) / frames;
+
+        // query results take a few frames to arrive
+        let gpuTimes = [];
+        for (
+          let wait = 0;
+          wait < BENCHMARK_QUERY_FRAMES && timer.pending > 0;
+          wait++
+        ) {
+          await nextFrame();
+          gpuTimes = [...gpuTimes, ...timer.results()];
+        }
+        if (gpuTimes.length > 0) {
+          result.gpuTime =
+            gpuTimes.reduce((sum, value) => sum + value, 0) / gpuTimes.length;
+        }
+      } catch (error) {
+        // e.g. more circles than the uniform renderer can hold
+        result.error = error.message;
+      } finally {
+        // queries still running would be counted in the next case
+        timer.discard();
+        if (renderer) {
+          renderer.dispose();
+        }
+      }
+      results.push(result);
+    }
+    onProgress(cases.length, cases.length);
+  } finally {
+    const lose = gl.getExtension("WEBGL_lose_context");
+    if (lose) {
+      lose.loseContext();
+    }
+  }
+  return results;
+}
+
+/**
+ * Fill a table with benchmark results, one row per case
+ *
+ * @param {!HTMLTableElement} table The table to replace the contents of
+ * @param {BenchmarkResult[]} results Results from {@link runBenchmark}
+ */
+export function showBenchmarkTable(table, results) {
+  const row = (cells, tag) => {
+    const tr = document.createElement("tr");
+    cells.forEach((text) => {
+      const cell = document.createElement(tag);
+      cell.textContent = text;
+      tr.append(cell);
+    });
+    return tr;
+  };
+  const milliseconds = (value) => (value === null ? "-" : value.toFixed(2));
+
+  const head = document.createElement("thead");
+  head.append(
+    row(
+      ["Renderer", "Resolution", "Circles", "Frame ms", "GPU ms", "Notes"],
+      "th"
+    )
+  );
+  const body = document.createElement("tbody");
+  results.forEach((result) =>
+    body.append(
+      row(
+        [
+          result.renderer,
+          `${result.width}x${result.height}`,
+          result.count,
+          milliseconds(result.frameTime),
+          milliseconds(result.gpuTime),
+          result.error || "",
+        ],
+        "td"
+      )
+    )
+  );
+  table.replaceChildren(head, body);
+}
+
+/**
+ * GPU timer from {@link createGPUTimer}
+ *
+ * @typedef {object} GPUTimer
+ * @property {boolean} supported True if the browser can time the GPU
+ * @property {function(function())} measure Call draw, timing the WebGL
+ *           work it does
+ * @property {function(): number[]} results Milliseconds taken by measured
+ *           draws that have finished since the last call, oldest first
+ * @property {number} pending Number of measured draws whose time hasn't
+ *           been returned by results yet
+ * @property {function()} discard Forget every measured draw whose time
+ *           hasn't been returned yet
+ */
+
+/**
+ * Stats overlay from {@link createStatsOverlay}
+ *
+ * @typedef {object} StatsOverlay
+ * @property {boolean} enabled Show the overlay and time draws
+ * @property {function(function(), object)} measure Call draw, timing it if
+ *           enabled; the object has the count, width, height and renderer
+ *           name to show, and animating, true if frames are drawn
+ *           continuously
+ */
+
+/**
+ * What {@link runBenchmark} draws
+ *
+ * @typedef {object} BenchmarkOptions
+ * @property {RenderStyle} style The style to draw with
+ * @property {RadiusRange} radius Smallest and largest radius as fractions
+ *           of the smaller canvas dimension
+ * @property {string} [shape] One of {@link SHAPE_CHOICES}; default is
+ *           "circle"
+ * @property {Object<string, function(WebGLRenderingContext): CircleRenderer>} [renderers]
+ *           Renderers to compare by name; default is {@link RENDERERS}, and
+ *           any factory returning a {@link CircleRenderer} can be added
+ * @property {number[]} [counts] Circle counts; default is {@link BENCHMARK_COUNTS}
+ * @property {object[]} [resolutions] Drawing buffer widths and heights;
+ *           default is {@link BENCHMARK_RESOLUTIONS}
+ * @property {number} [frames] Frames timed per case; default is
+ *           {@link BENCHMARK_FRAMES}
+ * @property {function(number, number)} [onProgress] Called with the number
+ *           of cases done and the total before each case and at the end
+ */
+
+/**
+ * Timing of one renderer drawing one circle count at one resolution
+ *
+ * @typedef {object} BenchmarkResult
+ * @property {string} renderer Name of the renderer
+ * @property {number} width Drawing buffer width in pixels
+ * @property {number} height Drawing buffer height in pixels
+ * @property {number} count Circles drawn; fewer than asked for only if the
+ *           placement couldn't fit them
+ * @property {number} frames Frames timed
+ * @property {?number} frameTime Average wall clock milliseconds per frame,
+ *           including waiting for the GPU, or null if drawing failed
+ * @property {?number} gpuTime Average GPU milliseconds per frame, or null
+ *           if the GPU can't be timed
+ * @property {?string} error Why drawing failed, or null
+ */
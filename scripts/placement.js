@@ -0,0 +1,261 @@
+/**
+ * Default number of tries to place one circle before giving up on it
+ * @constant {number}
+ */
+const MAX_PLACEMENT_ATTEMPTS = 100;
+
+/**
+ * Number of circles in a row that can fail to fit before non-overlapping
+ * placement decides the canvas is full and stops
+ * @constant {number}
+ */
+const MAX_FAILED_CIRCLES = 10;
+
+/**
+ * Number of candidates tried around each active circle in Poisson-disk
+ * placement before the circle is retired (k in Bridson's algorithm)
+ * @constant {number}
+ */
+const POISSON_CANDIDATES = 30;
+
+/**
+ * Circle placement strategies by name, used by {@link generateCircleUniformData}
+ * @constant {Object<string, PlacementFunction>}
+ */
+export const PLACEMENT_STRATEGIES = {
+  uniform: placeUniform,
+  noOverlap: placeWithoutOverlap,
+  poisson: placePoissonDisk,
+};
+
+/**
+ * Place circles anywhere inside the canvas; circles may overlap
+ *
+ * @param {number} numCircles The number of circles to place
+ * @param {RadiusRange} radius Smallest and largest radius in pixels
+ * @param {object} canvasDimensions width and height of canvas
+ * @param {function(): number} random Source of random floats in [0, 1)
+ * @returns {Array<CircleObject>} Exactly numCircles circles
+ */
+export function placeUniform(numCircles, radius, canvasDimensions, random) {
+  const circles = [];
+  for (let i = 0; i < numCircles; i++) {
+    const r = random() * (radius.max - radius.min) + radius.min;
+    const x = random() * (canvasDimensions.width - 2 * r) + r;
+    const y = random() * (canvasDimensions.height - 2 * r) + r;
+    circles.push({ x: x, y: y, r: r });
+  }
+  return circles;
+}
+
+/**
+ * Place circles at random, retrying each one until it is at least
+ * options.gap pixels away from every circle already placed. A circle that
+ * still overlaps after options.maxAttempts tries is skipped, and placement
+ * stops once {@link MAX_FAILED_CIRCLES} circles in a row are skipped.
+ *
+ * @param {number} numCircles The number of circles to place
+ * @param {RadiusRange} radius Smallest and largest radius in pixels
+ * @param {object} canvasDimensions width and height of canvas
+ * @param {function(): number} random Source of random floats in [0, 1)
+ * @param {GenerateOptions} options gap and maxAttempts settings
+ * @returns {Array<CircleObject>} Up to numCircles non-overlapping circles
+ */
+export function placeWithoutOverlap(
+  numCircles,
+  radius,
+  canvasDimensions,
+  random,
+  options
+) {
+  const gap = options.gap || 0;
+  const maxAttempts = options.maxAttempts || MAX_PLACEMENT_ATTEMPTS;
+  const grid = createCircleGrid(canvasDimensions, 2 * radius.max + gap);
+  let failed = 0;
+
+  for (let i = 0; i < numCircles && failed < MAX_FAILED_CIRCLES; i++) {
+    failed++;
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      const r = random() * (radius.max - radius.min) + radius.min;
+      const x = random() * (canvasDimensions.width - 2 * r) + r;
+      const y = random() * (canvasDimensions.height - 2 * r) + r;
+      if (grid.fits(x, y, r, gap)) {
+        grid.add({ x: x, y: y, r: r });
+        failed = 0;
+        break;
+      }
+    }
+  }
+  return grid.circles;
+}
+
+/**
+ * Pack circles densely with a variable-radius version of Bridson's
+ * Poisson-disk algorithm: new circles are tried in a ring around circles
+ * already placed and shrunk, down to radius.min, to fit the space left.
+ * Placement stops at numCircles or when no more circles fit.
+ *
+ * @param {number} numCircles The largest number of circles to place
+ * @param {RadiusRange} radius Smallest and largest radius in pixels
+ * @param {object} canvasDimensions width and height of canvas
+ * @param {function(): number} random Source of random floats in [0, 1)
+ * @param {GenerateOptions} options gap setting
+ * @returns {Array<CircleObject>} Up to numCircles non-overlapping circles
+ */
+export function placePoissonDisk(
+  numCircles,
+  radius,
+  canvasDimensions,
+  random,
+  options
+) {
+  const gap = options.gap || 0;
+  const grid = createCircleGrid(canvasDimensions, 2 * radius.max + gap);
+  const active = [];
+
+  const tryAdd = (x, y, r) => {
+    const largest = grid.largestRadius(x, y, gap);
+    if (largest < radius.min) {
+      return false;
+    }
+    const circle = { x: x, y: y, r: Math.min(r, largest) };
+    grid.add(circle);
+    active.push(circle);
+    return true;
+  };
+
+  // seed the packing with one circle, retrying in case the canvas is tiny
+  for (let attempt = 0; attempt < MAX_PLACEMENT_ATTEMPTS; attempt++) {
+    const r = random() * (radius.max - radius.min) + radius.min;
+    if (
+      numCircles < 1 ||
+      tryAdd(
+        random() * canvasDimensions.width,
+        random() * canvasDimensions.height,
+        r
+      )
+    ) {
+      break;
+    }
+  }
+
+  while (active.length > 0 && grid.circles.length < numCircles) {
+    const index = Math.floor(random() * active.length);
+    const parent = active[index];
+    let placed = false;
+
+    for (let k = 0; k < POISSON_CANDIDATES && !placed; k++) {
+      const r = random() * (radius.max - radius.min) + radius.min;
+      const angle = random() * 2 * Math.PI;
+      const distance = parent.r + gap + r * (1 + random());
+      placed = tryAdd(
+        parent.x + Math.cos(angle) * distance,
+        parent.y + Math.sin(angle) * distance,
+        r
+      );
+    }
+
+    if (!placed) {
+      active[index] = active[active.length - 1];
+      active.pop();
+    }
+  }
+  return grid.circles;
+}
+
+/**
+ * Create a uniform grid for fast overlap checks between circles. The cell
+ * size must be at least the largest possible sum of two radii plus the gap,
+ * so only the 3x3 block of cells around a point needs checking.
+ *
+ * @param {object} canvasDimensions width and height of canvas
+ * @param {number} cellSize Width and height of each grid cell in pixels
+ * @returns {CircleGrid} An empty grid
+ */
+function createCircleGrid(canvasDimensions, cellSize) {
+  const columns = Math.max(1, Math.ceil(canvasDimensions.width / cellSize));
+  const rows = Math.max(1, Math.ceil(canvasDimensions.height / cellSize));
+  const cells = Array.from({ length: columns * rows }, () => []);
+  const circles = [];
+
+  const largestRadius = (x, y, gap) => {
+    let largest = Math.min(
+      x,
+      y,
+      canvasDimensions.width - x,
+      canvasDimensions.height - y
+    );
+    const column = Math.floor(x / cellSize);
+    const row = Math.floor(y / cellSize);
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        if (
+          column + dx < 0 ||
+          column + dx >= columns ||
+          row + dy < 0 ||
+          row + dy >= rows
+        ) {
+          continue;
+        }
+        for (const c of cells[(row + dy) * columns + column + dx]) {
+          largest = Math.min(largest, Math.hypot(c.x - x, c.y - y) - c.r - gap);
+        }
+      }
+    }
+    return largest;
+  };
+
+  return {
+    circles: circles,
+    largestRadius: largestRadius,
+    fits: (x, y, r, gap) => largestRadius(x, y, gap) >= r,
+    add: (circle) => {
+      circles.push(circle);
+      const column = Math.floor(circle.x / cellSize);
+      const row = Math.floor(circle.y / cellSize);
+      cells[row * columns + column].push(circle);
+    },
+  };
+}
+
+/**
+ * Places circles on the canvas
+ *
+ * @callback PlacementFunction
+ * @param {number} numCircles The number of circles to place
+ * @param {RadiusRange} radius Smallest and largest radius in pixels
+ * @param {object} canvasDimensions width and height of canvas
+ * @param {function(): number} random Source of random floats in [0, 1)
+ * @param {GenerateOptions} options Strategy specific settings
+ * @returns {Array<CircleObject>} The placed circles
+ */
+
+/**
+ * Smallest and largest circle radius in pixels
+ *
+ * @typedef {object} RadiusRange
+ * @property {number} min The smallest radius
+ * @property {number} max The largest radius
+ */
+
+/**
+ * A circle in canvas pixels, origin at the bottom left
+ *
+ * @typedef {object} CircleObject
+ * @property {number} x x coordinate of the center
+ * @property {number} y y coordinate of the center
+ * @property {number} r radius
+ */
+
+/**
+ * Spatial index of placed circles
+ *
+ * @typedef {object} CircleGrid
+ * @property {Array<CircleObject>} circles Circles in the order they were added
+ * @property {function(number, number, number): number} largestRadius Largest
+ *           radius a circle at (x, y) can have while staying inside the canvas
+ *           and gap pixels away from every other circle
+ * @property {function(number, number, number, number): boolean} fits True if a
+ *           circle at (x, y) with radius r fits
+ * @property {function(CircleObject)} add Add a circle to the grid
+ */
@@ -0,0 +1,48 @@
+/**
+ * Largest seed value; seeds are unsigned 32-bit integers
+ * @constant {number}
+ */
+export const MAX_SEED = 0xffffffff;
+
+/**
+ * Create a seeded pseudo-random number generator. Uses the mulberry32
+ * algorithm, so the same seed always produces the same sequence of numbers
+ * on every browser and in Node.
+ *
+ * @param {number} seed Unsigned 32-bit integer seed
+ * @returns {function(): number} A function that returns a float in [0, 1),
+ *          a drop-in replacement for Math.random
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pick a new seed for when none is given
+ *
+ * @returns {number} A random unsigned 32-bit integer
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * (MAX_SEED + 1));
+}
+
+/**
+ * Parse a seed from a string, e.g. a URL query parameter
+ *
+ * @param {?string} value The text to parse
+ * @returns {?number} The seed, or null if value is not an integer in 0..MAX_SEED
+ */
+export function parseSeed(value) {
+  if (value === null || value === undefined || !/^\s*\d+\s*$/.test(value)) {
+    return null;
+  }
+  const seed = Number(value);
+  return seed <= MAX_SEED ? seed : null;
+}
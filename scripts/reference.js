@@ -0,0 +1,157 @@
+import { CIRCLE_ELEMENTS } from "./generate.js";
+import { RENDER_MODES } from "./renderers.js";
+import { readShape, shapeDistance } from "./shapes.js";
+
+/**
+ * Draw circles on the CPU following the uniform renderer's fragment shader
+ * step for step, so the result can be checked without a GPU or a browser.
+ * Each pixel is shaded at its center, as gl_FragCoord is: circles are
+ * tested in order with the same bounding box and distance tests,
+ * composited front to back with circle 0 on top, and a pixel stops taking
+ * circles once it is opaque. The gradient fill and background compositing
+ * are the same as in the shader.
+ *
+ * The shader loops over circles for each pixel; here each circle visits
+ * only the pixels in its bounding box, which gives the same result because
+ * every pixel still sees the circles in the same order.
+ *
+ * @param {!Float32Array} circleData Circles from {@link generateCircleUniformData}
+ * @param {object} canvasDimensions width and height of canvas
+ * @param {RenderStyle} style The style to draw with
+ * @returns {Uint8ClampedArray} Premultiplied RGBA bytes as gl.readPixels
+ *          returns them: 4 per pixel, bottom row first
+ */
+export function rasterizeCircles(circleData, canvasDimensions, style) {
+  const { width, height } = canvasDimensions;
+  const mode = RENDER_MODES.indexOf(style.mode);
+  // premultiplied color of the circles covering each pixel so far
+  const color = new Float64Array(4 * width * height);
+
+  for (let i = 0; i < circleData.length; i += CIRCLE_ELEMENTS) {
+    const cx = circleData[i + 0];
+    const cy = circleData[i + 1];
+    const radius = circleData[i + 2];
+    // half a pixel past the edge is still partly covered
+    const r = radius + 0.5;
+    const shape = readShape(circleData, i);
+
+    // pixel centers strictly inside the bounding box
+    const left = Math.max(0, Math.floor(cx - r - 0.5));
+    const right = Math.min(width - 1, Math.ceil(cx + r - 0.5));
+    const bottom = Math.max(0, Math.floor(cy - r - 0.5));
+    const top = Math.min(height - 1, Math.ceil(cy + r - 0.5));
+
+    for (let py = bottom; py <= top; py++) {
+      const y = py + 0.5;
+      for (let px = left; px <= right; px++) {
+        const x = px + 0.5;
+        const index = 4 * (py * width + px);
+
+        // nothing behind an opaque pixel shows through
+        if (color[index + 3] >= 1) {
+          continue;
+        }
+        // every shape fits inside its circle
+        const squared = (cx - x) * (cx - x) + (cy - y) * (cy - y);
+        if (
+          !(x > cx - r && x < cx + r && y > cy - r && y < cy + r) ||
+          !(squared < r * r)
+        ) {
+          continue;
+        }
+
+        const fill = style.gradient
+          ? [x / width, y / height, 0.5, circleData[i + 6]]
+          : [
+              circleData[i + 3],
+              circleData[i + 4],
+              circleData[i + 5],
+              circleData[i + 6],
+            ];
+        const shaded = shade(
+          fill,
+          shapeDistance(x - cx, y - cy, radius, shape),
+          mode,
+          style
+        );
+        const remaining = 1 - color[index + 3];
+        color[index + 0] += remaining * shaded[0] * shaded[3];
+        color[index + 1] += remaining * shaded[1] * shaded[3];
+        color[index + 2] += remaining * shaded[2] * shaded[3];
+        color[index + 3] += remaining * shaded[3];
+      }
+    }
+  }
+
+  const background = style.background;
+  const pixels = new Uint8ClampedArray(color.length);
+  for (let index = 0; index < color.length; index += 4) {
+    const remaining = 1 - color[index + 3];
+    pixels[index + 0] = toByte(
+      color[index + 0] + remaining * background.r * background.a
+    );
+    pixels[index + 1] = toByte(
+      color[index + 1] + remaining * background.g * background.a
+    );
+    pixels[index + 2] = toByte(
+      color[index + 2] + remaining * background.b * background.a
+    );
+    pixels[index + 3] = toByte(color[index + 3] + remaining * background.a);
+  }
+  return pixels;
+}
+
+/**
+ * The shade function shared by the shaders: a circle's color at a pixel,
+ * with alpha scaled by how much of the pixel the circle covers
+ *
+ * @param {number[]} fill The circle's fill color as r, g, b, a
+ * @param {number} d Signed distance in pixels from the circle's edge,
+ *        negative inside
+ * @param {number} mode Index of the render mode in {@link RENDER_MODES}
+ * @param {RenderStyle} style The style with the stroke width and color
+ * @returns {number[]} The color as r, g, b, a, not premultiplied
+ */
+function shade(fill, d, mode, style) {
+  const outer = 1 - smoothstep(-0.5, 0.5, d);
+  const inner =
+    1 - smoothstep(-style.strokeWidth - 0.5, -style.strokeWidth + 0.5, d);
+  if (mode === 1) {
+    return [fill[0], fill[1], fill[2], fill[3] * (outer - inner)];
+  }
+  if (mode === 2) {
+    const stroke = style.strokeColor;
+    const mix = (from, to) => from * (1 - inner) + to * inner;
+    return [
+      mix(stroke.r, fill[0]),
+      mix(stroke.g, fill[1]),
+      mix(stroke.b, fill[2]),
+      mix(stroke.a, fill[3]) * outer,
+    ];
+  }
+  return [fill[0], fill[1], fill[2], fill[3] * outer];
+}
+
+/**
+ * GLSL smoothstep
+ *
+ * @param {number} edge0 Value where the result starts rising from 0.0
+ * @param {number} edge1 Value where the result reaches 1.0
+ * @param {number} x The value to step
+ * @returns {number} Smooth Hermite interpolation from 0.0 to 1.0
+ */
+function smoothstep(edge0, edge1, x) {
+  const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1);
+  return t * t * (3 - 2 * t);
+}
+
+/**
+ * Convert a color channel to a byte the way WebGL writes it to an 8 bit
+ * drawing buffer
+ *
+ * @param {number} value Channel from 0.0 to 1.0; clamped if outside
+ * @returns {number} The byte from 0 to 255
+ */
+function toByte(value) {
+  return Math.round(Math.min(Math.max(value, 0), 1) * 255);
+}
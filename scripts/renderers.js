@@ -0,0 +1,499 @@
+import { CIRCLE_ELEMENTS } from "./generate.js";
+import { clearCanvas, createAttribute, createGLRenderer } from "./webgl.js";
+
+/**
+ * Circle renderers by name. Each takes the WebGL context and returns a
+ * {@link CircleRenderer}.
+ * @constant {Object<string, function(WebGLRenderingContext): CircleRenderer>}
+ */
+export const RENDERERS = {
+  instanced: createInstancedRenderer,
+  uniform: createUniformRenderer,
+};
+
+/**
+ * Ways to draw each circle: filled, outline only, or filled with an outline
+ * in the stroke color. The index is the value of the "mode" uniform.
+ * @constant {string[]}
+ */
+export const RENDER_MODES = ["fill", "outline", "fillStroke"];
+
+/**
+ * GLSL shared by every renderer's fragment shader: uniforms for the render
+ * mode and a function giving a circle's color at a pixel, with alpha scaled
+ * by how much of the pixel the circle covers. Coverage fades over one pixel
+ * around each edge, which anti-aliases the circles. {@link rasterizeCircles}
+ * repeats this on the CPU, so change both together.
+ * @constant {string}
+ */
+const SHADE_GLSL = `
+    uniform int mode;
+    uniform float strokeWidth;
+    uniform vec4 strokeColor;
+
+    // d is the signed distance in pixels from the circle's edge,
+    // negative inside
+    vec4 shade(vec4 fill, float d)
+    {
+      float outer = 1.0 - smoothstep(-0.5, 0.5, d);
+      float inner = 1.0 - smoothstep(-strokeWidth - 0.5, -strokeWidth + 0.5, d);
+      if (mode == 1) {
+        return vec4(fill.rgb, fill.a * (outer - inner));
+      }
+      if (mode == 2) {
+        vec4 color = mix(strokeColor, fill, inner);
+        return vec4(color.rgb, color.a * outer);
+      }
+      return vec4(fill.rgb, fill.a * outer);
+    }`;
+
+/**
+ * GLSL shared by every renderer's fragment shader: the signed distance from
+ * a pixel to the edge of each shape in {@link SHAPES}. This is
+ * {@link shapeDistance} on the CPU; change both together.
+ * @constant {string}
+ */
+const SHAPE_GLSL = `
+    const float PI = 3.14159265;
+
+    // p is the pixel's position in pixels relative to the shape's center,
+    // r the radius of the circle the shape fits in, and shape the type,
+    // rotation and two parameters from the circle data
+    float shapeDistance(vec2 p, float r, vec4 shape)
+    {
+      // turn the pixel by -rotation instead of turning the shape
+      float c = cos(shape.y);
+      float s = sin(shape.y);
+      p = vec2(c * p.x + s * p.y, c * p.y - s * p.x);
+
+      // ellipse; approximate, but exact enough near the edge to anti-alias
+      if (shape.x > 0.5 && shape.x < 1.5) {
+        vec2 axes = vec2(r, r * shape.z);
+        float k0 = length(p / axes);
+        float k1 = length(p / (axes * axes));
+        return k1 > 0.0 ? k0 * (k0 - 1.0) / k1 : -axes.y;
+      }
+      // ring
+      if (shape.x > 1.5 && shape.x < 2.5) {
+        float inner = r * shape.z;
+        return abs(length(p) - 0.5 * (r + inner)) - 0.5 * (r - inner);
+      }
+      // rounded rectangle with its corners, before rounding, on the circle
+      if (shape.x > 2.5 && shape.x < 3.5) {
+        vec2 size = vec2(1.0, shape.z) * r / sqrt(1.0 + shape.z * shape.z);
+        float corner = shape.w * min(size.x, size.y);
+        vec2 q = abs(p) - size + corner;
+        return length(max(q, 0.0)) + min(max(q.x, q.y), 0.0) - corner;
+      }
+      // regular polygon with its corners on the circle; fold the pixel into
+      // the half of a side between a corner and the side's middle
+      if (shape.x > 3.5) {
+        float sector = PI / shape.z;
+        float len = length(p);
+        if (len == 0.0) {
+          return -r * cos(sector);
+        }
+        float angle = mod(atan(p.y, p.x), 2.0 * sector) - sector;
+        vec2 q = len * vec2(cos(angle), abs(sin(angle)))
+          - r * vec2(cos(sector), sin(sector));
+        q.y += clamp(-q.y, 0.0, r * sin(sector));
+        return length(q) * sign(q.x);
+      }
+      return length(p) - r;
+    }`;
+
+/**
+ * Corners of a quad covering clip space, drawn as a triangle strip
+ * @constant {Float32Array}
+ */
+// prettier-ignore
+const QUAD_VERTICES = new Float32Array([
+  // X, Y
+  -1.0,  1.0,  // top left
+  -1.0, -1.0,  // bottom left
+   1.0,  1.0,  // top right
+   1.0, -1.0,  // bottom right
+]);
+
+/**
+ * Most circles {@link createUniformRenderer} can draw, limited by the
+ * number of uniform vectors the fragment shader may use
+ *
+ * @param {!WebGLRenderingContext} gl The current WebGL rendering context
+ * @returns {number} The most circles
+ */
+export function maxUniformCircles(gl) {
+  // each circle takes three vectors, position, color and shape; leave room
+  // for the resolution, background color, gradient flag and render mode
+  // uniforms
+  return Math.floor((gl.getParameter(gl.MAX_FRAGMENT_UNIFORM_VECTORS) - 6) / 3);
+}
+
+/**
+ * Create the original renderer: one full-screen quad whose fragment shader
+ * loops over every circle, stored in uniform arrays, compositing the
+ * circles that cover each pixel front to back. The number of circles is
+ * compiled into the shader, so the program is rebuilt whenever the count
+ * changes, and the count is limited by MAX_FRAGMENT_UNIFORM_VECTORS.
+ * Resources are rebuilt if the WebGL context is lost and restored.
+ *
+ * @param {!WebGLRenderingContext} gl The current WebGL rendering context
+ * @returns {CircleRenderer} The renderer
+ */
+export function createUniformRenderer(gl) {
+  const maxCircles = maxUniformCircles(gl);
+
+  const vertexCode = `
+    precision mediump float;
+    attribute vec2 vertPosition;
+
+    void main()
+    {
+      gl_Position = vec4(vertPosition, 0.0, 1.0);
+    }`;
+
+  const fragmentCode = (num) => `
+    precision mediump float;
+    const int num = ${num};
+    uniform vec3 circles[num];
+    uniform vec4 colors[num];
+    uniform vec4 shapes[num];
+    uniform vec2 resolution;
+    uniform vec4 background;
+    uniform bool gradient;
+    ${SHADE_GLSL}
+    ${SHAPE_GLSL}
+
+    void main()
+    {
+      float x = gl_FragCoord.x;
+      float y = gl_FragCoord.y;
+
+      // premultiplied color of the circles covering this pixel so far;
+      // circle 0 is on top, so blend each circle in behind the ones before
+      vec4 color = vec4(0.0);
+
+      for (int i = 0; i < num; i++) {
+        vec3 circle = circles[i];
+        // half a pixel past the edge is still partly covered
+        float r = circle.z + 0.5;
+
+        // check bounding box, then check if inside circle; rely on
+        // short circuiting to reduce calculations for points outside circle.
+        // Every shape fits inside its circle.
+        if (x > circle.x - r && x < circle.x + r
+            && y > circle.y - r && y < circle.y + r
+            && (circle.x - x)*(circle.x - x) + (circle.y - y)*(circle.y - y) < r*r ) {
+          vec4 fill = gradient
+            ? vec4(x/resolution.x, y/resolution.y, 0.5, colors[i].a)
+            : colors[i];
+          vec4 shaded = shade(
+            fill,
+            shapeDistance(vec2(x, y) - circle.xy, circle.z, shapes[i])
+          );
+          color += (1.0 - color.a) * vec4(shaded.rgb * shaded.a, shaded.a);
+
+          // nothing behind an opaque pixel shows through
+          if (color.a >= 1.0) {
+            break;
+          }
+        }
+      }
+      gl_FragColor = color
+        + (1.0 - color.a) * vec4(background.rgb * background.a, background.a);
+    }`;
+
+  const attributes = [
+    // vertPosition is 2 elements in a 2 element vertex of type float
+    createAttribute("vertPosition", 2, 2, gl.FLOAT),
+  ];
+
+  // the program is made on the first draw, when the count is known
+  const renderer = createGLRenderer(gl, "uniform", () => ({
+    program: null,
+    programCount: 0,
+    buffer: null,
+  }));
+
+  return {
+    name: "uniform",
+    draw(circleData, canvasDimensions, style) {
+      const state = renderer.state;
+      if (!state) {
+        // the context is lost; the caller draws again once it is restored
+        return;
+      }
+
+      const numCircles = circleData.length / CIRCLE_ELEMENTS;
+      if (numCircles > maxCircles) {
+        throw new Error(
+          `ERROR uniform renderer supports at most ${maxCircles} circles, ` +
+            `got ${numCircles}`
+        );
+      }
+
+      // GLSL arrays can't be empty, so always compile room for one circle
+      const num = Math.max(numCircles, 1);
+      if (num !== state.programCount) {
+        if (state.program) {
+          renderer.deleteProgram(state.program);
+        }
+        state.program = renderer.program([vertexCode, fragmentCode(num)]);
+        state.programCount = num;
+      }
+      const program = state.program;
+      if (!state.buffer) {
+        state.buffer = renderer.buffer(program, QUAD_VERTICES, attributes);
+      }
+
+      gl.useProgram(program);
+      renderer.bindAttributes(program, state.buffer, attributes);
+
+      // split the circle records into the shader's position, color and
+      // shape arrays
+      const positions = new Float32Array(3 * num);
+      const colors = new Float32Array(4 * num);
+      const shapes = new Float32Array(4 * num);
+      for (let i = 0; i < numCircles; i++) {
+        const baseIndex = CIRCLE_ELEMENTS * i;
+        positions.set(circleData.subarray(baseIndex, baseIndex + 3), 3 * i);
+        colors.set(circleData.subarray(baseIndex + 3, baseIndex + 7), 4 * i);
+        shapes.set(
+          circleData.subarray(baseIndex + 7, baseIndex + CIRCLE_ELEMENTS),
+          4 * i
+        );
+      }
+      gl.uniform3fv(renderer.uniform(program, "circles"), positions);
+      gl.uniform4fv(renderer.uniform(program, "colors"), colors);
+      gl.uniform4fv(renderer.uniform(program, "shapes"), shapes);
+      gl.uniform2f(
+        renderer.uniform(program, "resolution"),
+        canvasDimensions.width,
+        canvasDimensions.height
+      );
+      setStyleUniforms(renderer, program, style);
+
+      // the shader composites the background itself
+      gl.viewport(0, 0, canvasDimensions.width, canvasDimensions.height);
+      gl.disable(gl.BLEND);
+      gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    },
+    dispose: renderer.dispose,
+  };
+}
+
+/**
+ * Set the uniforms for a render style. Changing the style needs no new
+ * program, only new uniform values. Uniforms a renderer's shaders don't
+ * declare are skipped.
+ *
+ * @param {GLRenderer} renderer The renderer drawing
+ * @param {!WebGLProgram} program The program in use
+ * @param {RenderStyle} style The style to draw with
+ */
+function setStyleUniforms(renderer, program, style) {
+  const gl = renderer.gl;
+  const background = style.background;
+  gl.uniform4f(
+    renderer.uniform(program, "background"),
+    background.r,
+    background.g,
+    background.b,
+    background.a
+  );
+  gl.uniform1i(renderer.uniform(program, "gradient"), style.gradient);
+  gl.uniform1i(
+    renderer.uniform(program, "mode"),
+    RENDER_MODES.indexOf(style.mode)
+  );
+  gl.uniform1f(renderer.uniform(program, "strokeWidth"), style.strokeWidth);
+  const stroke = style.strokeColor;
+  gl.uniform4f(
+    renderer.uniform(program, "strokeColor"),
+    stroke.r,
+    stroke.g,
+    stroke.b,
+    stroke.a
+  );
+}
+
+/**
+ * Create a renderer that draws one instanced quad per circle, using the
+ * ANGLE_instanced_arrays extension. Circle data lives in a vertex buffer,
+ * so the count can change on every draw and only the pixels near each
+ * circle are shaded. Circles are alpha blended over each other. Resources
+ * are rebuilt if the WebGL context is lost and restored.
+ *
+ * @param {!WebGLRenderingContext} gl The current WebGL rendering context
+ * @throws {Error} If ANGLE_instanced_arrays is not supported
+ * @returns {CircleRenderer} The renderer
+ */
+export function createInstancedRenderer(gl) {
+  if (!gl.getExtension("ANGLE_instanced_arrays")) {
+    throw new Error("ERROR: browser does not support ANGLE_instanced_arrays");
+  }
+
+  // each quad spans the circle's bounding box plus a pixel for the
+  // anti-aliased edge; offset is the position in pixels from the center,
+  // and canvasPosition is the 0..1 position on the canvas used for the
+  // gradient
+  const vertexCode = `
+    precision highp float;
+    attribute vec2 vertPosition;
+    attribute vec3 circle;
+    attribute vec4 color;
+    attribute vec4 shape;
+    uniform vec2 resolution;
+    varying vec2 offset;
+    varying float radius;
+    varying vec2 canvasPosition;
+    varying vec4 fill;
+    varying vec4 shapeInfo;
+
+    void main()
+    {
+      offset = vertPosition * (circle.z + 1.0);
+      radius = circle.z;
+      fill = color;
+      shapeInfo = shape;
+      vec2 position = circle.xy + offset;
+      canvasPosition = position / resolution;
+      gl_Position = vec4(canvasPosition * 2.0 - 1.0, 0.0, 1.0);
+    }`;
+
+  const fragmentCode = `
+    precision mediump float;
+    uniform bool gradient;
+    varying vec2 offset;
+    varying float radius;
+    varying vec2 canvasPosition;
+    varying vec4 fill;
+    varying vec4 shapeInfo;
+    ${SHADE_GLSL}
+    ${SHAPE_GLSL}
+
+    void main()
+    {
+      vec4 color = shade(
+        gradient ? vec4(canvasPosition, 0.5, fill.a) : fill,
+        shapeDistance(offset, radius, shapeInfo)
+      );
+      if (color.a <= 0.0) {
+        discard;
+      }
+      // premultiplied alpha, matching the canvas and the blend function
+      gl_FragColor = vec4(color.rgb * color.a, color.a);
+    }`;
+
+  const quadAttributes = [createAttribute("vertPosition", 2, 2, gl.FLOAT)];
+  const circleAttributes = [
+    createAttribute("circle", 3, CIRCLE_ELEMENTS, gl.FLOAT),
+    createAttribute("color", 4, CIRCLE_ELEMENTS, gl.FLOAT, 3),
+    createAttribute("shape", 4, CIRCLE_ELEMENTS, gl.FLOAT, 7),
+  ];
+
+  // extension objects belong to a context, so get it again after a restore
+  const renderer = createGLRenderer(gl, "instanced", (resources) => {
+    const program = resources.program([vertexCode, fragmentCode]);
+    return {
+      ext: gl.getExtension("ANGLE_instanced_arrays"),
+      program: program,
+      quadBuffer: resources.buffer(program, QUAD_VERTICES, quadAttributes),
+      circleBuffer: resources.buffer(
+        program,
+        new Float32Array(CIRCLE_ELEMENTS),
+        circleAttributes,
+        gl.ARRAY_BUFFER,
+        gl.DYNAMIC_DRAW
+      ),
+    };
+  });
+
+  return {
+    name: "instanced",
+    draw(circleData, canvasDimensions, style) {
+      const state = renderer.state;
+      if (!state) {
+        // the context is lost; the caller draws again once it is restored
+        return;
+      }
+      const { ext, program } = state;
+      const instancedLocations = circleAttributes.map((attr) =>
+        renderer.attribute(program, attr.name)
+      );
+
+      const numCircles = circleData.length / CIRCLE_ELEMENTS;
+
+      // circle 0 is on top; later instances are drawn over earlier ones,
+      // so upload the circles in reverse order
+      const instanceData = new Float32Array(circleData.length);
+      for (let i = 0; i < numCircles; i++) {
+        const from = CIRCLE_ELEMENTS * i;
+        const to = CIRCLE_ELEMENTS * (numCircles - 1 - i);
+        instanceData.set(circleData.subarray(from, from + CIRCLE_ELEMENTS), to);
+      }
+
+      gl.useProgram(program);
+      gl.uniform2f(
+        renderer.uniform(program, "resolution"),
+        canvasDimensions.width,
+        canvasDimensions.height
+      );
+      setStyleUniforms(renderer, program, style);
+      gl.viewport(0, 0, canvasDimensions.width, canvasDimensions.height);
+
+      // the canvas expects premultiplied alpha
+      const background = style.background;
+      clearCanvas(gl, {
+        r: background.r * background.a,
+        g: background.g * background.a,
+        b: background.b * background.a,
+        a: background.a,
+      });
+      gl.enable(gl.BLEND);
+      gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+
+      renderer.bindAttributes(program, state.quadBuffer, quadAttributes);
+      renderer.bindAttributes(program, state.circleBuffer, circleAttributes);
+      gl.bufferData(gl.ARRAY_BUFFER, instanceData, gl.DYNAMIC_DRAW);
+      instancedLocations.forEach((location) =>
+        ext.vertexAttribDivisorANGLE(location, 1)
+      );
+
+      ext.drawArraysInstancedANGLE(gl.TRIANGLE_STRIP, 0, 4, numCircles);
+
+      // attribute divisors are global state; reset so other programs
+      // using these locations are not instanced
+      instancedLocations.forEach((location) =>
+        ext.vertexAttribDivisorANGLE(location, 0)
+      );
+    },
+    dispose: renderer.dispose,
+  };
+}
+
+/**
+ * Draws a set of circles with WebGL
+ *
+ * @typedef {object} CircleRenderer
+ * @property {string} name The key of this renderer in {@link RENDERERS}
+ * @property {function(Float32Array, object, RenderStyle)} draw Draw the
+ *           circles from {@link generateCircleUniformData} on a drawing
+ *           buffer of the given width and height, replacing all of it
+ * @property {function()} dispose Delete the renderer's WebGL resources
+ */
+
+/**
+ * How circles are drawn, shared by every renderer
+ *
+ * @typedef {object} RenderStyle
+ * @property {ColorObject} background Canvas background color
+ * @property {boolean} gradient If true, fill circles with the original
+ *           position based gradient instead of their own color, keeping
+ *           each circle's alpha
+ * @property {string} mode One of {@link RENDER_MODES}
+ * @property {number} strokeWidth Outline width in drawing buffer pixels,
+ *           drawn just inside each circle's edge
+ * @property {ColorObject} strokeColor Outline color for "fillStroke"; in
+ *           "outline" mode each outline uses its circle's color
+ */
@@ -0,0 +1,118 @@
+import { CIRCLE_ELEMENTS } from "./generate.js";
+
+/**
+ * Size of the canvas drawing buffer that fills its CSS box at the current
+ * devicePixelRatio
+ *
+ * @param {!HTMLCanvasElement} canvas The canvas to measure
+ * @returns {object} width and height in device pixels
+ */
+export function getDisplaySize(canvas) {
+  return {
+    width: Math.max(
+      1,
+      Math.round(canvas.clientWidth * window.devicePixelRatio)
+    ),
+    height: Math.max(
+      1,
+      Math.round(canvas.clientHeight * window.devicePixelRatio)
+    ),
+  };
+}
+
+/**
+ * Call onResize whenever the canvas needs a differently sized drawing
+ * buffer: when its CSS box changes size, or when devicePixelRatio changes
+ * because of zooming or moving the window to another monitor. The canvas
+ * width and height are updated before onResize is called.
+ *
+ * @param {!HTMLCanvasElement} canvas The canvas to watch
+ * @param {function(object)} onResize Called with the new width and height
+ *        in device pixels
+ * @returns {function()} Stops watching the canvas
+ */
+export function observeCanvasSize(canvas, onResize) {
+  const resize = (size) => {
+    if (size.width !== canvas.width || size.height !== canvas.height) {
+      canvas.width = size.width;
+      canvas.height = size.height;
+      onResize(size);
+    }
+  };
+
+  // devicePixelContentBoxSize gives exact device pixels where supported
+  const observer = new ResizeObserver((entries) => {
+    const entry = entries[entries.length - 1];
+    if (entry.devicePixelContentBoxSize) {
+      const box = entry.devicePixelContentBoxSize[0];
+      resize({ width: box.inlineSize, height: box.blockSize });
+    } else {
+      resize(getDisplaySize(canvas));
+    }
+  });
+  try {
+    observer.observe(canvas, { box: "device-pixel-content-box" });
+  } catch (error) {
+    observer.observe(canvas, { box: "content-box" });
+  }
+
+  // a media query only matches one ratio, so listen for it to stop
+  // matching and then listen for the new ratio
+  let media = null;
+  const onRatioChange = () => {
+    resize(getDisplaySize(canvas));
+    watchRatio();
+  };
+  const watchRatio = () => {
+    if (media) {
+      media.removeEventListener("change", onRatioChange);
+    }
+    media = window.matchMedia(`(resolution: ${window.devicePixelRatio}dppx)`);
+    media.addEventListener("change", onRatioChange);
+  };
+  watchRatio();
+
+  return () => {
+    observer.disconnect();
+    media.removeEventListener("change", onRatioChange);
+  };
+}
+
+/**
+ * Rescale circles for a new canvas size in place, instead of generating new
+ * ones. Centers keep their relative position; radii scale with the smaller
+ * canvas dimension, as in {@link generateCircleUniformData}. Circles are
+ * then moved back inside the canvas if needed.
+ *
+ * @param {!Float32Array} circleData Circles from {@link generateCircleUniformData}
+ * @param {object} from width and height of the canvas the circles fit
+ * @param {object} to width and height of the new canvas
+ */
+export function rescaleCircleData(circleData, from, to) {
+  const scaleX = to.width / from.width;
+  const scaleY = to.height / from.height;
+  const scaleR =
+    Math.min(to.width, to.height) / Math.min(from.width, from.height);
+
+  for (let i = 0; i < circleData.length; i += CIRCLE_ELEMENTS) {
+    const r = circleData[i + 2] * scaleR;
+    circleData[i + 0] = clamp(circleData[i + 0] * scaleX, r, to.width - r);
+    circleData[i + 1] = clamp(circleData[i + 1] * scaleY, r, to.height - r);
+    circleData[i + 2] = r;
+  }
+}
+
+/**
+ * Limit a value to a range. If the range is empty the midpoint is used.
+ *
+ * @param {number} value The value to limit
+ * @param {number} min Smallest allowed value
+ * @param {number} max Largest allowed value
+ * @returns {number} The limited value
+ */
+export function clamp(value, min, max) {
+  if (min > max) {
+    return (min + max) / 2;
+  }
+  return Math.min(Math.max(value, min), max);
+}
@@ -0,0 +1,370 @@
+import { PALETTES, parseHexColor } from "./palettes.js";
+import { PLACEMENT_STRATEGIES } from "./placement.js";
+import { parseSeed, randomSeed } from "./random.js";
+import { RENDERERS, RENDER_MODES } from "./renderers.js";
+import { SHAPE_CHOICES } from "./shapes.js";
+
+/**
+ * Number of circles to generate
+ * @constant {number}
+ */
+const NUM_CIRCLES = 12;
+
+/**
+ * Most circles the control panel allows
+ * @constant {number}
+ */
+export const MAX_CIRCLES = 100000;
+
+/**
+ * Animation modes: a still picture, a fixed time step simulation that is
+ * reproducible, or a simulation stepped by the real frame time
+ * @constant {string[]}
+ */
+const ANIMATION_MODES = ["off", "fixed", "variable"];
+
+/**
+ * Choices for showing the performance stats overlay
+ * @constant {string[]}
+ */
+const STATS_MODES = ["off", "on"];
+
+/**
+ * Units for the radius settings: drawing buffer pixels, or a fraction of
+ * the smaller canvas dimension
+ * @constant {string[]}
+ */
+const RADIUS_UNITS = ["fraction", "px"];
+
+/**
+ * Default canvas background color
+ * @constant {string}
+ */
+const BACKGROUND_COLOR = "#e6e6e6";
+
+/**
+ * Default outline color for the "fillStroke" render mode
+ * @constant {string}
+ */
+const STROKE_COLOR = "#202020";
+
+/**
+ * Default outline width in CSS pixels
+ * @constant {number}
+ */
+const STROKE_WIDTH = 2;
+
+/**
+ * localStorage key the settings are saved under
+ * @constant {string}
+ */
+const SETTINGS_STORAGE_KEY = "circles-settings";
+
+/**
+ * Milliseconds to wait for the settings to stop changing before writing
+ * them to the URL; browsers limit how often the URL may be replaced, and
+ * dragging a slider changes a setting on every input event
+ * @constant {number}
+ */
+const URL_WRITE_DELAY = 300;
+
+/** Timer for the pending URL write, or null if there is none */
+let urlWriteTimer = null;
+
+/**
+ * Settings used when neither the URL nor localStorage has a valid value.
+ * The seed has no default; a new random seed is picked instead.
+ * @constant {Settings}
+ */
+export const DEFAULT_SETTINGS = {
+  seed: null,
+  count: NUM_CIRCLES,
+  minRadius: 0.02,
+  maxRadius: 0.25,
+  radiusUnit: "fraction",
+  placement: "uniform",
+  shape: "circle",
+  palette: "gradient",
+  background: BACKGROUND_COLOR,
+  opacity: 1.0,
+  mode: "fill",
+  strokeWidth: STROKE_WIDTH,
+  strokeColor: STROKE_COLOR,
+  renderer: "instanced",
+  animate: "off",
+  stats: "off",
+};
+
+/**
+ * Parse each setting from text, as found in the URL, localStorage or a form
+ * field. Each parser returns null if the text is not a valid value.
+ * @constant {Object<string, function(?string): *>}
+ */
+export const SETTING_PARSERS = {
+  seed: parseSeed,
+  count: (text) => parseNumber(text, 1, MAX_CIRCLES, true),
+  minRadius: (text) => parseNumber(text, 0, Infinity),
+  maxRadius: (text) => parseNumber(text, 0, Infinity),
+  radiusUnit: (text) => parseChoice(text, RADIUS_UNITS),
+  placement: (text) => parseChoice(text, Object.keys(PLACEMENT_STRATEGIES)),
+  shape: (text) => parseChoice(text, SHAPE_CHOICES),
+  palette: (text) => parseChoice(text, Object.keys(PALETTES)),
+  background: (text) => (parseHexColor(text) ? text.toLowerCase() : null),
+  opacity: (text) => parseNumber(text, 0, 1),
+  mode: (text) => parseChoice(text, RENDER_MODES),
+  strokeWidth: (text) => parseNumber(text, 0, Infinity),
+  strokeColor: (text) => (parseHexColor(text) ? text.toLowerCase() : null),
+  renderer: (text) => parseChoice(text, Object.keys(RENDERERS)),
+  animate: (text) => parseChoice(text, ANIMATION_MODES),
+  stats: (text) => parseChoice(text, STATS_MODES),
+};
+
+/**
+ * Read the settings. Each value comes from the URL query string if it is
+ * valid there, else from localStorage, else from {@link DEFAULT_SETTINGS};
+ * with no seed anywhere a new random seed is picked.
+ *
+ * @param {string} search The query string, usually window.location.search
+ * @param {?Storage} storage Where settings are saved, usually localStorage
+ * @returns {Settings} The settings to render with
+ */
+export function readSettings(search, storage) {
+  const params = new URLSearchParams(search);
+  const saved = readStoredSettings(storage);
+  const settings = {};
+
+  Object.keys(DEFAULT_SETTINGS).forEach((key) => {
+    const fromUrl = SETTING_PARSERS[key](params.get(key));
+    const fromStorage = SETTING_PARSERS[key](
+      saved[key] === undefined ? null : String(saved[key])
+    );
+    settings[key] =
+      fromUrl !== null
+        ? fromUrl
+        : fromStorage !== null
+        ? fromStorage
+        : DEFAULT_SETTINGS[key];
+  });
+
+  if (settings.seed === null) {
+    settings.seed = randomSeed();
+  }
+  return settings;
+}
+
+/**
+ * Save the settings to localStorage and replace the URL query string with
+ * them, without reloading the page or adding a history entry, so the
+ * address bar reproduces the current picture. The URL is written once the
+ * settings have stopped changing for {@link URL_WRITE_DELAY} ms.
+ *
+ * @param {Settings} settings The settings to write
+ * @param {?Storage} storage Where to save settings, usually localStorage
+ */
+export function writeSettings(settings, storage) {
+  const url = new URL(window.location.href);
+  Object.keys(DEFAULT_SETTINGS).forEach((key) => {
+    url.searchParams.set(key, settings[key]);
+  });
+  clearTimeout(urlWriteTimer);
+  urlWriteTimer = setTimeout(() => {
+    urlWriteTimer = null;
+    try {
+      window.history.replaceState(null, "", url);
+    } catch (error) {
+      // too many replacements; localStorage still has the settings
+      console.warn(`Settings not written to the URL: ${error.message}`);
+    }
+  }, URL_WRITE_DELAY);
+
+  try {
+    storage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+  } catch (error) {
+    // storage may be full or disabled; the URL still has the settings
+    console.warn(`Settings not saved: ${error.message}`);
+  }
+}
+
+/**
+ * Check settings that are each valid on their own but don't work together
+ * or don't fit the canvas
+ *
+ * @param {Settings} settings The settings to check
+ * @param {object} canvasDimensions width and height of canvas
+ * @param {Object<string, number>} [rendererLimits] Most circles each
+ *        renderer can draw, by renderer name; renderers not listed have no
+ *        limit
+ * @returns {Object<string, string>} Error messages by setting name; empty if
+ *          the settings are usable
+ */
+export function validateSettings(
+  settings,
+  canvasDimensions,
+  rendererLimits = {}
+) {
+  const errors = {};
+  const radius = radiusLimitsInPixels(settings, canvasDimensions);
+  const largest = Math.min(canvasDimensions.width, canvasDimensions.height) / 2;
+
+  if (radius.min <= 0) {
+    errors.minRadius = "Minimum radius must be more than 0.";
+  } else if (radius.min > radius.max) {
+    errors.minRadius = "Minimum radius is larger than the maximum radius.";
+  }
+  if (radius.max > largest) {
+    errors.maxRadius =
+      settings.radiusUnit === "px"
+        ? `A circle this large doesn't fit on the canvas; the most is ${Math.floor(
+            largest
+          )} px.`
+        : "A circle this large doesn't fit on the canvas; the most is 0.5.";
+  }
+
+  const limit = rendererLimits[settings.renderer];
+  if (limit !== undefined && settings.count > limit) {
+    errors.count = `The ${settings.renderer} renderer draws at most ${limit} circles.`;
+  }
+  return errors;
+}
+
+/**
+ * Put back the defaults of settings that {@link validateSettings} rejects,
+ * such as radii from a link made for a larger canvas, so they can't break
+ * the picture
+ *
+ * @param {Settings} settings The settings to check and fix in place
+ * @param {object} canvasDimensions width and height of canvas
+ * @param {Object<string, number>} [rendererLimits] Most circles each
+ *        renderer can draw, by renderer name
+ * @returns {Object<string, string>} The errors found, by setting name;
+ *          empty if nothing was changed
+ */
+export function resetInvalidSettings(
+  settings,
+  canvasDimensions,
+  rendererLimits = {}
+) {
+  const errors = validateSettings(settings, canvasDimensions, rendererLimits);
+  // the radius settings only make sense together
+  if (errors.minRadius || errors.maxRadius) {
+    settings.minRadius = DEFAULT_SETTINGS.minRadius;
+    settings.maxRadius = DEFAULT_SETTINGS.maxRadius;
+    settings.radiusUnit = DEFAULT_SETTINGS.radiusUnit;
+  }
+  if (errors.count) {
+    settings.count = DEFAULT_SETTINGS.count;
+  }
+  return errors;
+}
+
+/**
+ * Convert a radius setting from one unit to the other, e.g. when the unit
+ * is changed, so the circles stay the same size. Pixels are rounded to
+ * whole pixels, at least 1.
+ *
+ * @param {number} value The radius in fromUnit
+ * @param {string} fromUnit One of {@link RADIUS_UNITS}
+ * @param {string} toUnit One of {@link RADIUS_UNITS}
+ * @param {object} canvasDimensions width and height of canvas
+ * @returns {number} The radius in toUnit
+ */
+export function convertRadius(value, fromUnit, toUnit, canvasDimensions) {
+  const smaller = Math.min(canvasDimensions.width, canvasDimensions.height);
+  if (fromUnit === toUnit) {
+    return value;
+  }
+  if (toUnit === "px") {
+    return Math.max(1, Math.round(value * smaller));
+  }
+  // four decimals keep whole pixels apart on large screens
+  return Math.round((value / smaller) * 10000) / 10000;
+}
+
+/**
+ * Convert the radius settings to the smallest and largest radius in
+ * drawing buffer pixels
+ *
+ * @param {Settings} settings minRadius, maxRadius and radiusUnit
+ * @param {object} canvasDimensions width and height of canvas
+ * @returns {RadiusRange} Smallest and largest radius in pixels
+ */
+export function radiusLimitsInPixels(settings, canvasDimensions) {
+  const scale =
+    settings.radiusUnit === "px"
+      ? 1
+      : Math.min(canvasDimensions.width, canvasDimensions.height);
+  return { min: settings.minRadius * scale, max: settings.maxRadius * scale };
+}
+
+/**
+ * Read the settings saved by {@link writeSettings}
+ *
+ * @param {?Storage} storage Where settings are saved
+ * @returns {object} The saved values, or an empty object if there are none
+ */
+function readStoredSettings(storage) {
+  try {
+    const saved = JSON.parse(storage.getItem(SETTINGS_STORAGE_KEY));
+    return saved && typeof saved === "object" ? saved : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Parse a number within a range
+ *
+ * @param {?string} text The text to parse
+ * @param {number} min Smallest allowed value
+ * @param {number} max Largest allowed value
+ * @param {boolean} [integer] If true, only whole numbers are allowed
+ * @returns {?number} The number, or null if text is not a number in range
+ */
+function parseNumber(text, min, max, integer = false) {
+  if (text === null || text === undefined || String(text).trim() === "") {
+    return null;
+  }
+  const value = Number(text);
+  if (
+    !Number.isFinite(value) ||
+    value < min ||
+    value > max ||
+    (integer && !Number.isInteger(value))
+  ) {
+    return null;
+  }
+  return value;
+}
+
+/**
+ * Parse one of a list of names
+ *
+ * @param {?string} text The text to parse
+ * @param {string[]} choices The allowed names
+ * @returns {?string} text, or null if it is not one of choices
+ */
+function parseChoice(text, choices) {
+  return choices.includes(text) ? text : null;
+}
+
+/**
+ * Everything that determines the picture
+ *
+ * @typedef {object} Settings
+ * @property {number} seed Seed for the random number generator
+ * @property {number} count The number of circles to generate
+ * @property {number} minRadius Smallest circle radius, in radiusUnit
+ * @property {number} maxRadius Largest circle radius, in radiusUnit
+ * @property {string} radiusUnit One of {@link RADIUS_UNITS}
+ * @property {string} placement Name of the circle placement strategy
+ * @property {string} shape One of {@link SHAPE_CHOICES}
+ * @property {string} palette Name of the circle palette in {@link PALETTES}
+ * @property {string} background Background color as a hex color, e.g. "#e6e6e6"
+ * @property {number} opacity Alpha of every circle from 0.0 to 1.0
+ * @property {string} mode One of {@link RENDER_MODES}
+ * @property {number} strokeWidth Outline width in CSS pixels
+ * @property {string} strokeColor Outline color as a hex color
+ * @property {string} renderer Name of the renderer in {@link RENDERERS}
+ * @property {string} animate One of {@link ANIMATION_MODES}
+ * @property {string} stats One of {@link STATS_MODES}
+ */
@@ -0,0 +1,184 @@
+/**
+ * Shapes that can be drawn in place of circles, by the number stored in
+ * the shape field of the circle data. Every shape fits inside its circle's
+ * radius, so placement, collisions and resizing treat shapes as circles.
+ * @constant {Object<string, number>}
+ */
+export const SHAPES = {
+  circle: 0,
+  ellipse: 1,
+  ring: 2,
+  roundedRect: 3,
+  polygon: 4,
+};
+
+/**
+ * Shape settings: one of {@link SHAPES} for every circle, or "mixed" to
+ * choose a shape for each circle at random
+ * @constant {string[]}
+ */
+export const SHAPE_CHOICES = [...Object.keys(SHAPES), "mixed"];
+
+/**
+ * Fewest and most sides of a random regular polygon
+ * @constant {object}
+ */
+const POLYGON_SIDES = { min: 3, max: 8 };
+
+/**
+ * Choose the shape drawn for a circle. Circles need no random numbers, so
+ * circle-only layouts are the same as before shapes existed.
+ *
+ * @param {string} shape One of {@link SHAPE_CHOICES}
+ * @param {function(): number} random Source of random floats in [0, 1)
+ * @throws {Error} If shape is not a known shape
+ * @returns {ShapeObject} The shape
+ */
+export function pickShape(shape, random) {
+  if (shape === "mixed") {
+    const names = Object.keys(SHAPES);
+    shape = names[Math.floor(random() * names.length)];
+  }
+  if (!Object.prototype.hasOwnProperty.call(SHAPES, shape)) {
+    throw new Error(`ERROR unknown shape "${shape}"`);
+  }
+
+  const type = SHAPES[shape];
+  if (shape === "ellipse") {
+    return {
+      type: type,
+      rotation: random() * Math.PI,
+      a: 0.3 + 0.6 * random(),
+      b: 0,
+    };
+  }
+  if (shape === "ring") {
+    return { type: type, rotation: 0, a: 0.3 + 0.5 * random(), b: 0 };
+  }
+  if (shape === "roundedRect") {
+    return {
+      type: type,
+      rotation: random() * Math.PI,
+      a: 0.4 + 0.6 * random(),
+      b: 0.1 + 0.4 * random(),
+    };
+  }
+  if (shape === "polygon") {
+    const sides =
+      POLYGON_SIDES.min +
+      Math.floor(random() * (POLYGON_SIDES.max - POLYGON_SIDES.min + 1));
+    return {
+      type: type,
+      rotation: (random() * 2 * Math.PI) / sides,
+      a: sides,
+      b: 0,
+    };
+  }
+  return { type: type, rotation: 0, a: 0, b: 0 };
+}
+
+/**
+ * Read the shape of the circle starting at baseIndex
+ *
+ * @param {!Float32Array} circleData Circles from {@link generateCircleUniformData}
+ * @param {number} baseIndex Index of the circle's first element
+ * @returns {ShapeObject} The circle's shape
+ */
+export function readShape(circleData, baseIndex) {
+  return {
+    type: circleData[baseIndex + 7],
+    rotation: circleData[baseIndex + 8],
+    a: circleData[baseIndex + 9],
+    b: circleData[baseIndex + 10],
+  };
+}
+
+/**
+ * Signed distance in pixels from a point to the edge of a shape, negative
+ * inside. This is shapeDistance in {@link SHAPE_GLSL}; change both
+ * together.
+ *
+ * @param {number} dx x of the point relative to the shape's center
+ * @param {number} dy y of the point relative to the shape's center
+ * @param {number} r Radius of the circle the shape fits in
+ * @param {ShapeObject} shape The shape
+ * @returns {number} The distance
+ */
+export function shapeDistance(dx, dy, r, shape) {
+  // turn the point by -rotation instead of turning the shape
+  const c = Math.cos(shape.rotation);
+  const s = Math.sin(shape.rotation);
+  const x = c * dx + s * dy;
+  const y = c * dy - s * dx;
+
+  if (shape.type === SHAPES.ellipse) {
+    // approximate, but exact enough near the edge to anti-alias
+    const minor = r * shape.a;
+    const k0 = Math.hypot(x / r, y / minor);
+    const k1 = Math.hypot(x / (r * r), y / (minor * minor));
+    return k1 > 0 ? (k0 * (k0 - 1)) / k1 : -minor;
+  }
+  if (shape.type === SHAPES.ring) {
+    const inner = r * shape.a;
+    return Math.abs(Math.hypot(x, y) - 0.5 * (r + inner)) - 0.5 * (r - inner);
+  }
+  if (shape.type === SHAPES.roundedRect) {
+    const size = roundedRectSize(r, shape);
+    const qx = Math.abs(x) - size.x + size.corner;
+    const qy = Math.abs(y) - size.y + size.corner;
+    return (
+      Math.hypot(Math.max(qx, 0), Math.max(qy, 0)) +
+      Math.min(Math.max(qx, qy), 0) -
+      size.corner
+    );
+  }
+  if (shape.type === SHAPES.polygon) {
+    const sector = Math.PI / shape.a;
+    const length = Math.hypot(x, y);
+    if (length === 0) {
+      return -r * Math.cos(sector);
+    }
+    // fold the point into the half of a side between a corner and the
+    // side's middle; corners are at multiples of 2 * sector, GLSL mod
+    // keeps the sign of the divisor
+    const turned = Math.atan2(y, x);
+    const angle =
+      turned - 2 * sector * Math.floor(turned / (2 * sector)) - sector;
+    const qx = length * Math.cos(angle) - r * Math.cos(sector);
+    let qy = length * Math.abs(Math.sin(angle)) - r * Math.sin(sector);
+    qy += Math.min(Math.max(-qy, 0), r * Math.sin(sector));
+    return Math.hypot(qx, qy) * Math.sign(qx);
+  }
+  return Math.hypot(x, y) - r;
+}
+
+/**
+ * Size of a rounded rectangle whose corners, before rounding, touch the
+ * circle it fits in
+ *
+ * @param {number} r Radius of the circle the rectangle fits in
+ * @param {ShapeObject} shape The rectangle; a is its height as a fraction
+ *        of its width, b its corner radius as a fraction of half its
+ *        shorter side
+ * @returns {object} Half width x, half height y and corner radius
+ */
+export function roundedRectSize(r, shape) {
+  const x = r / Math.sqrt(1 + shape.a * shape.a);
+  const y = x * shape.a;
+  return { x: x, y: y, corner: shape.b * Math.min(x, y) };
+}
+
+/**
+ * What a circle is drawn as. The meaning of a and b depends on the type:
+ * the minor radius of an ellipse and the inner radius of a ring as a
+ * fraction of the radius; the height to width ratio and corner rounding of
+ * a rounded rectangle, see {@link roundedRectSize}; the number of sides of
+ * a regular polygon, with its corners on the circle and, before rotation,
+ * a corner on the positive x axis.
+ *
+ * @typedef {object} ShapeObject
+ * @property {number} type One of the values in {@link SHAPES}
+ * @property {number} rotation Counterclockwise turn in radians
+ * @property {number} a First shape parameter
+ * @property {number} b Second shape parameter
+ */
@@ -0,0 +1,159 @@
+import { CIRCLE_ELEMENTS } from "./generate.js";
+
+/**
+ * Number of floats per circle in velocity data: x and y velocity in pixels
+ * per second
+ * @constant {number}
+ */
+export const VELOCITY_ELEMENTS = 2;
+
+/**
+ * Give each circle a random direction and a speed between half of and the
+ * full maxSpeed
+ *
+ * @param {number} numCircles The number of circles to make velocities for
+ * @param {number} maxSpeed The largest speed in pixels per second
+ * @param {function(): number} [random] Source of random floats in [0, 1);
+ *        default is Math.random
+ * @returns {Float32Array} Velocities, (x, y) per circle
+ */
+export function generateVelocities(numCircles, maxSpeed, random = Math.random) {
+  const velocities = new Float32Array(VELOCITY_ELEMENTS * numCircles);
+  for (let i = 0; i < numCircles; i++) {
+    const angle = random() * 2 * Math.PI;
+    const speed = (random() * 0.5 + 0.5) * maxSpeed;
+    velocities[VELOCITY_ELEMENTS * i + 0] = Math.cos(angle) * speed;
+    velocities[VELOCITY_ELEMENTS * i + 1] = Math.sin(angle) * speed;
+  }
+  return velocities;
+}
+
+/**
+ * Advance the simulation by one time step: move every circle, bounce it off
+ * the canvas edges, then resolve circle-to-circle collisions as elastic
+ * collisions with mass proportional to area. Circles and velocities are
+ * updated in place. Uses no WebGL or DOM, so it runs anywhere.
+ *
+ * @param {!Float32Array} circleData Circles from {@link generateCircleUniformData}
+ * @param {!Float32Array} velocities Velocities from {@link generateVelocities}
+ * @param {number} dt Time step in seconds
+ * @param {object} canvasDimensions width and height of canvas
+ */
+export function stepSimulation(circleData, velocities, dt, canvasDimensions) {
+  const numCircles = circleData.length / CIRCLE_ELEMENTS;
+
+  for (let i = 0; i < numCircles; i++) {
+    const c = CIRCLE_ELEMENTS * i;
+    const v = VELOCITY_ELEMENTS * i;
+    circleData[c + 0] += velocities[v + 0] * dt;
+    circleData[c + 1] += velocities[v + 1] * dt;
+    bounceOffWalls(circleData, velocities, i, canvasDimensions);
+  }
+
+  // sweep and prune: sort by left edge so each circle is only compared
+  // with circles whose x extent overlaps its own
+  const order = Array.from({ length: numCircles }, (_, i) => i).sort(
+    (a, b) =>
+      circleData[CIRCLE_ELEMENTS * a] -
+      circleData[CIRCLE_ELEMENTS * a + 2] -
+      (circleData[CIRCLE_ELEMENTS * b] - circleData[CIRCLE_ELEMENTS * b + 2])
+  );
+
+  for (let i = 0; i < numCircles; i++) {
+    const a = order[i];
+    const right =
+      circleData[CIRCLE_ELEMENTS * a] + circleData[CIRCLE_ELEMENTS * a + 2];
+    for (let j = i + 1; j < numCircles; j++) {
+      const b = order[j];
+      const left =
+        circleData[CIRCLE_ELEMENTS * b] - circleData[CIRCLE_ELEMENTS * b + 2];
+      if (left >= right) {
+        break;
+      }
+      collide(circleData, velocities, a, b);
+    }
+  }
+
+  // pushing circles apart can move them through a wall
+  for (let i = 0; i < numCircles; i++) {
+    bounceOffWalls(circleData, velocities, i, canvasDimensions);
+  }
+}
+
+/**
+ * Keep circle i inside the canvas, reflecting its velocity off any wall it
+ * has crossed
+ *
+ * @param {!Float32Array} circleData Circle data
+ * @param {!Float32Array} velocities Velocity data
+ * @param {number} i Index of the circle
+ * @param {object} canvasDimensions width and height of canvas
+ */
+function bounceOffWalls(circleData, velocities, i, canvasDimensions) {
+  const c = CIRCLE_ELEMENTS * i;
+  const v = VELOCITY_ELEMENTS * i;
+  const r = circleData[c + 2];
+  const limits = [canvasDimensions.width, canvasDimensions.height];
+
+  for (let axis = 0; axis < 2; axis++) {
+    if (circleData[c + axis] < r) {
+      circleData[c + axis] = r;
+      velocities[v + axis] = Math.abs(velocities[v + axis]);
+    } else if (circleData[c + axis] > limits[axis] - r) {
+      circleData[c + axis] = limits[axis] - r;
+      velocities[v + axis] = -Math.abs(velocities[v + axis]);
+    }
+  }
+}
+
+/**
+ * Resolve a collision between circles a and b if they overlap: separate them
+ * along the line between their centres and exchange momentum along it
+ *
+ * @param {!Float32Array} circleData Circle data
+ * @param {!Float32Array} velocities Velocity data
+ * @param {number} a Index of the first circle
+ * @param {number} b Index of the second circle
+ */
+function collide(circleData, velocities, a, b) {
+  const ca = CIRCLE_ELEMENTS * a;
+  const cb = CIRCLE_ELEMENTS * b;
+  const dx = circleData[cb + 0] - circleData[ca + 0];
+  const dy = circleData[cb + 1] - circleData[ca + 1];
+  const minDistance = circleData[ca + 2] + circleData[cb + 2];
+  const distanceSquared = dx * dx + dy * dy;
+  if (distanceSquared >= minDistance * minDistance) {
+    return;
+  }
+
+  // circles on exactly the same spot have no direction between them
+  const distance = Math.sqrt(distanceSquared);
+  const nx = distance > 0 ? dx / distance : 1;
+  const ny = distance > 0 ? dy / distance : 0;
+
+  const massA = circleData[ca + 2] * circleData[ca + 2];
+  const massB = circleData[cb + 2] * circleData[cb + 2];
+  const total = massA + massB;
+
+  const overlap = minDistance - distance;
+  circleData[ca + 0] -= nx * overlap * (massB / total);
+  circleData[ca + 1] -= ny * overlap * (massB / total);
+  circleData[cb + 0] += nx * overlap * (massA / total);
+  circleData[cb + 1] += ny * overlap * (massA / total);
+
+  const va = VELOCITY_ELEMENTS * a;
+  const vb = VELOCITY_ELEMENTS * b;
+  const approach =
+    (velocities[va + 0] - velocities[vb + 0]) * nx +
+    (velocities[va + 1] - velocities[vb + 1]) * ny;
+  if (approach <= 0) {
+    // already moving apart
+    return;
+  }
+
+  const impulse = (2 * approach) / total;
+  velocities[va + 0] -= impulse * massB * nx;
+  velocities[va + 1] -= impulse * massB * ny;
+  velocities[vb + 0] += impulse * massA * nx;
+  velocities[vb + 1] += impulse * massA * ny;
+}
@@ -0,0 +1,526 @@
+/**
+ * Names given to programs by {@link makeProgram}, used in error messages
+ * @type {WeakMap<WebGLProgram, string>}
+ */
+const programNames = new WeakMap();
+
+/**
+ * Lines of source shown before and after each line with an error
+ * @constant {number}
+ */
+const SOURCE_CONTEXT_LINES = 2;
+
+/**
+ * Create and compile a shader from GLSL source code string
+ *
+ * @param {!WebGLRenderingContext } gl The current WebGL rendering context
+ * @param {!string} shaderSource The shader source code text in GLSL
+ * @param {!number} shaderType The type of shader to create, either gl.VERTEX_SHADER or gl.FRAGMENT_SHADER
+ * @throws {Error} If shader cannot be compiled, with the parsed
+ *         diagnostics as error.diagnostics and the source as error.source;
+ *         the message shows the source lines around each error
+ * @returns {!WebGLShader} The compiled shader
+ */
+export function makeShader(gl, shaderSource, shaderType) {
+  const shader = gl.createShader(shaderType);
+  gl.shaderSource(shader, shaderSource);
+  gl.compileShader(shader);
+  if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+    const typeName = shaderType === gl.VERTEX_SHADER ? "vertex" : "fragment";
+    const diagnostics = parseShaderLog(
+      gl.getShaderInfoLog(shader),
+      typeName,
+      shaderSource
+    );
+    gl.deleteShader(shader);
+    const error = new Error(
+      `ERROR compiling ${typeName} shader:\n` +
+        diagnostics
+          .map((diagnostic) => annotateSource(shaderSource, diagnostic))
+          .join("\n\n")
+    );
+    error.diagnostics = diagnostics;
+    error.source = shaderSource;
+    throw error;
+  }
+  return shader;
+}
+
+/**
+ * Create a WebGLProgram, attach a vertex and a fragment shader,
+ * then link the program, with the option to validate the program.
+ *
+ * @param {!WebGLRenderingContext } gl The current WebGL rendering context
+ * @param {!WebGLShader} vertexShader A compiled vertex shader
+ * @param {!WebGLShader} fragmentShader A compiled fragment shader
+ * @param {boolean} validate If true, will validate the program before returning it
+ * @param {string} [name] Name of the program used in error messages
+ * @throws {Error} If program can't be linked, with the parsed diagnostics
+ *         as error.diagnostics
+ * @throws {Error} If validate is true and the program can't be validated
+ * @returns {!WebGLProgram}
+ */
+export function makeProgram(
+  gl,
+  vertexShader,
+  fragmentShader,
+  validate = false,
+  name = "unnamed"
+) {
+  const program = gl.createProgram();
+  programNames.set(program, name);
+  gl.attachShader(program, vertexShader);
+  gl.attachShader(program, fragmentShader);
+
+  gl.linkProgram(program);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    const log = gl.getProgramInfoLog(program);
+    gl.deleteProgram(program);
+    const error = new Error(`ERROR linking program "${name}": ${log}`);
+    error.diagnostics = parseShaderLog(log, "program");
+    throw error;
+  }
+  if (validate) {
+    gl.validateProgram(program);
+    if (!gl.getProgramParameter(program, gl.VALIDATE_STATUS)) {
+      throw new Error(
+        `ERROR validating program "${name}": ${gl.getProgramInfoLog(program)}`
+      );
+    }
+  }
+
+  return program;
+}
+
+/**
+ * Create a WebGL program from 2 strings containing GLSL code.
+ *
+ * @param {!WebGLRenderingContext} gl The WebGL Context.
+ * @param {string[]} shaderCode Array of GLSL code for the shaders. The first is assumed to be the
+ *        vertex shader, the second the fragment shader.
+ * @param {string} [name] Name of the program used in error messages
+ * @return {!WebGLProgram} A program
+ */
+export function makeProgramFromStrings(gl, shaderCode, name = "unnamed") {
+  const vertexShader = makeShader(gl, shaderCode[0], gl.VERTEX_SHADER);
+
+  const fragmentShader = makeShader(gl, shaderCode[1], gl.FRAGMENT_SHADER);
+
+  return makeProgram(gl, vertexShader, fragmentShader, false, name);
+}
+
+/**
+ * Create an attribute object from the parameters
+ *
+ * @param {string} name The attribute (variable) name that will be accessed in the GLSL code
+ * @param {number} numElements The number of elements for this attribute. Must be 1, 2, 3, or 4.
+ * @param {number} numVertex  Number elements in the full vertex
+ * @param {string} type Data type of each component: gl.BYTE, gl.SHORT, gl.UNSIGNED_BYTE, gl.UNSIGNED_SHORT, gl.FLOAT
+ * @param {number} offset  Offset of this attribute in the full vertex
+ * @param {number} typeSize size of the data type
+ * @param {boolean} normalized If true, integer data values normalized when being cast to a float
+ * @returns {AttributeObject} An attribute object used in the {@link createBuffer} to set the attribute pointed
+ */
+export function createAttribute(
+  name,
+  numElements,
+  numVertex,
+  type,
+  offset = 0,
+  typeSize = Float32Array.BYTES_PER_ELEMENT,
+  normalized = false
+) {
+  return {
+    name: name,
+    size: numElements,
+    stride: numVertex * typeSize,
+    offset: offset * typeSize,
+    type: type,
+    normalized: normalized,
+  };
+}
+
+/**
+ * Create a buffer from the buffer data and configure attributes
+ *
+ * @param {!WebGLRenderingContext } gl The current WebGL rendering context
+ * @param {!WebGLProgram} program The WebGL complied and linked program
+ * @param {!Float32Array} bufferData An array of elements
+ * @param {!Array<AttributeObject>} attributes Attribute descriptions generated from {@link createAttribute}
+ * @param {number} type Buffer type from a GLenum; default is gl.ARRAY_BUFFER
+ * @param {number} bufferDataType Buffer data type from a GLenum; default is gl.STATIC_DRAW
+ * @throws {Error} If the program has no active attribute with one of the names
+ * @returns {!WebGLBuffer} The new buffer, left bound to type
+ */
+export function createBuffer(
+  gl,
+  program,
+  bufferData,
+  attributes,
+  type = gl.ARRAY_BUFFER,
+  bufferDataType = gl.STATIC_DRAW
+) {
+  const buffer = gl.createBuffer();
+  gl.bindBuffer(type, buffer);
+  gl.bufferData(type, bufferData, bufferDataType);
+
+  bindAttributes(gl, program, buffer, attributes);
+  return buffer;
+}
+
+/**
+ * Bind an array buffer and point the program's attributes at it. Attribute
+ * pointers are global WebGL state, so this must be called again before
+ * drawing whenever another buffer was bound in between.
+ *
+ * @param {!WebGLRenderingContext } gl The current WebGL rendering context
+ * @param {!WebGLProgram} program The WebGL complied and linked program
+ * @param {!WebGLBuffer} buffer The buffer holding the attribute data
+ * @param {!Array<AttributeObject>} attributes Attribute descriptions generated from {@link createAttribute}
+ * @param {function(string): number} [getLocation] Looks up an attribute
+ *        location by name; defaults to asking WebGL every time
+ * @throws {Error} If the program has no active attribute with one of the names
+ */
+export function bindAttributes(
+  gl,
+  program,
+  buffer,
+  attributes,
+  getLocation = (name) => gl.getAttribLocation(program, name)
+) {
+  gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+
+  attributes.forEach((attr) => {
+    const attrLocation = getLocation(attr.name);
+    if (attrLocation === -1) {
+      const programName = programNames.get(program) || "unnamed";
+      throw new Error(
+        `ERROR program "${programName}" has no active ` +
+          `attribute "${attr.name}"`
+      );
+    }
+
+    gl.vertexAttribPointer(
+      attrLocation,
+      attr.size,
+      attr.type,
+      attr.normalized,
+      attr.stride,
+      attr.offset
+    );
+    gl.enableVertexAttribArray(attrLocation);
+  });
+}
+
+/**
+ * Clear the canvas with the given color
+ * @param {WebGLRenderingContext} gl The current WebGL rendering context
+ * @param {ColorObject} color Contains floats for r, g, b, and a
+ */
+export function clearCanvas(gl, color) {
+  gl.clearColor(color.r, color.g, color.b, color.a);
+  gl.clear(gl.COLOR_BUFFER_BIT);
+}
+
+/**
+ * Split a shader or program info log into one diagnostic per message.
+ * Understands the "ERROR: 0:12: message" format of ANGLE, Firefox and
+ * Safari and the "0:12(5): error: message" format of Mesa. ANGLE gives no
+ * column, so the first quoted token in the message is looked up on the
+ * line instead. Lines in neither format become diagnostics without a
+ * line.
+ *
+ * @param {?string} log The text from getShaderInfoLog or getProgramInfoLog
+ * @param {string} shaderType "vertex", "fragment" or "program"
+ * @param {string} [source] The shader source, used to find columns
+ * @returns {ShaderDiagnostic[]} The diagnostics, in log order
+ */
+export function parseShaderLog(log, shaderType, source = "") {
+  const sourceLines = source.split("\n");
+  const diagnostics = [];
+
+  (log || "").split("\n").forEach((text) => {
+    text = text.replace(/\0/g, "").trim();
+    if (!text) {
+      return;
+    }
+
+    let line = null;
+    let column = null;
+    let message = text;
+    let match = /^(ERROR|WARNING):\s*\d+:(\d+):\s*(.*)$/i.exec(text);
+    if (match) {
+      line = Number(match[2]);
+      message = match[3];
+      if (match[1].toUpperCase() === "WARNING") {
+        message = `warning: ${message}`;
+      }
+    } else if (
+      (match = /^\d+:(\d+)\((\d+)\):\s*(?:error:\s*)?(.*)$/i.exec(text))
+    ) {
+      line = Number(match[1]);
+      column = Number(match[2]);
+      message = match[3];
+    } else {
+      message = text.replace(/^ERROR:\s*/i, "");
+    }
+
+    // line 0 is used for problems that aren't on any line
+    if (line === 0) {
+      line = null;
+    }
+    if (line !== null && column === null) {
+      const token = /'([^']+)'/.exec(message);
+      const index = token
+        ? (sourceLines[line - 1] || "").indexOf(token[1])
+        : -1;
+      column = index === -1 ? null : index + 1;
+    }
+
+    diagnostics.push({
+      shaderType: shaderType,
+      line: line,
+      column: column,
+      message: message,
+    });
+  });
+
+  return diagnostics;
+}
+
+/**
+ * Show a diagnostic with the numbered source lines around it, marking the
+ * line at fault and, if known, the column
+ *
+ * @param {string} source The shader source the diagnostic is about
+ * @param {ShaderDiagnostic} diagnostic The diagnostic to show
+ * @param {number} [contextLines] Lines to show before and after
+ * @returns {string} The diagnostic and source lines as plain text
+ */
+export function annotateSource(
+  source,
+  diagnostic,
+  contextLines = SOURCE_CONTEXT_LINES
+) {
+  const subject =
+    diagnostic.shaderType === "program"
+      ? "program"
+      : `${diagnostic.shaderType} shader`;
+  const location =
+    diagnostic.line === null
+      ? subject
+      : `${subject} line ${diagnostic.line}` +
+        (diagnostic.column === null ? "" : `, column ${diagnostic.column}`);
+  const heading = `${location}: ${diagnostic.message}`;
+  if (diagnostic.line === null) {
+    return heading;
+  }
+
+  const lines = source.split("\n");
+  const first = Math.max(1, diagnostic.line - contextLines);
+  const last = Math.min(lines.length, diagnostic.line + contextLines);
+  const width = String(last).length;
+  const annotated = [heading];
+  for (let number = first; number <= last; number++) {
+    const marker = number === diagnostic.line ? ">" : " ";
+    annotated.push(
+      `${marker} ${String(number).padStart(width)} | ${lines[number - 1]}`
+    );
+    if (number === diagnostic.line && diagnostic.column !== null) {
+      annotated.push(
+        `  ${" ".repeat(width)} | ${" ".repeat(diagnostic.column - 1)}^`
+      );
+    }
+  }
+  return annotated.join("\n");
+}
+
+/**
+ * Create a renderer that owns the shaders, programs and buffers it makes,
+ * so they can all be deleted at once, and that survives losing the WebGL
+ * context. build is called to make the renderer's resources, and called
+ * again the first time they are needed after the context is restored; all
+ * resources it needs must come from the renderer's methods.
+ *
+ * @param {!WebGLRenderingContext} gl The current WebGL rendering context
+ * @param {string} name Name of the renderer, given to its programs for
+ *        error messages
+ * @param {function(GLRenderer): object} build Makes the resources and
+ *        returns them, or anything else the renderer draws with
+ * @returns {GLRenderer} The renderer
+ */
+export function createGLRenderer(gl, name, build) {
+  const canvas = gl.canvas;
+  let programs = new Map();
+  let buffers = new Set();
+  let state = null;
+  let disposed = false;
+
+  const location = (program, key, find) => {
+    const locations = programs.get(program).locations;
+    if (!locations.has(key)) {
+      locations.set(key, find());
+    }
+    return locations.get(key);
+  };
+
+  const renderer = {
+    name: name,
+    gl: gl,
+
+    // the context says whether it is lost rather than a flag set by an
+    // event listener, which might run after the page's own listener for
+    // webglcontextrestored has already asked for the state
+    get state() {
+      if (state === null && !gl.isContextLost() && !disposed) {
+        state = build(renderer);
+      }
+      return state;
+    },
+
+    program(shaderCode) {
+      const shaders = [];
+      try {
+        shaders.push(makeShader(gl, shaderCode[0], gl.VERTEX_SHADER));
+        shaders.push(makeShader(gl, shaderCode[1], gl.FRAGMENT_SHADER));
+        const program = makeProgram(gl, shaders[0], shaders[1], false, name);
+        programs.set(program, { shaders: shaders, locations: new Map() });
+        return program;
+      } catch (error) {
+        shaders.forEach((shader) => gl.deleteShader(shader));
+        throw error;
+      }
+    },
+
+    buffer(
+      program,
+      bufferData,
+      attributes,
+      type = gl.ARRAY_BUFFER,
+      bufferDataType = gl.STATIC_DRAW
+    ) {
+      const buffer = gl.createBuffer();
+      buffers.add(buffer);
+      gl.bindBuffer(type, buffer);
+      gl.bufferData(type, bufferData, bufferDataType);
+      renderer.bindAttributes(program, buffer, attributes);
+      return buffer;
+    },
+
+    bindAttributes(program, buffer, attributes) {
+      bindAttributes(gl, program, buffer, attributes, (attrName) =>
+        renderer.attribute(program, attrName)
+      );
+    },
+
+    uniform(program, uniformName) {
+      return location(program, `uniform ${uniformName}`, () =>
+        gl.getUniformLocation(program, uniformName)
+      );
+    },
+
+    attribute(program, attrName) {
+      return location(program, `attribute ${attrName}`, () =>
+        gl.getAttribLocation(program, attrName)
+      );
+    },
+
+    deleteProgram(program) {
+      const entry = programs.get(program);
+      if (!entry) {
+        return;
+      }
+      gl.deleteProgram(program);
+      entry.shaders.forEach((shader) => gl.deleteShader(shader));
+      programs.delete(program);
+    },
+
+    dispose() {
+      forget(true);
+      disposed = true;
+      canvas.removeEventListener("webglcontextlost", onLost);
+    },
+  };
+
+  // drop every resource; deleting is pointless once the context is lost
+  const forget = (remove) => {
+    if (remove) {
+      Array.from(programs.keys()).forEach(renderer.deleteProgram);
+      buffers.forEach((buffer) => gl.deleteBuffer(buffer));
+    }
+    programs = new Map();
+    buffers = new Set();
+    state = null;
+  };
+
+  // the context is only restored if the lost event's default is prevented
+  const onLost = (event) => {
+    event.preventDefault();
+    forget(false);
+  };
+  canvas.addEventListener("webglcontextlost", onLost);
+
+  // make the resources now so problems show up when the renderer is made
+  if (!gl.isContextLost()) {
+    state = build(renderer);
+  }
+  return renderer;
+}
+
+/**
+ * Description of color object for WebGL color
+ *
+ * @typedef {object} ColorObject
+ * @property {number} r Value of red from 0.0 to 1.0
+ * @property {number} g Value of green from 0.0 to 1.0
+ * @property {number} b Value of blue from 0.0 to 1.0
+ * @property {number} a Value of alpha from 0.0 to 1.0
+ */
+
+/**
+ * Description of attribute object
+ *
+ * @typedef {object} AttributeObject
+ * @property {string} name the name of the attribute to be used in the GLSL code
+ * @property {number} size the number of elements for this attribute; must be 1,2,3, or 4
+ * @property {number} stride the size in bytes of one full vertex
+ * @property {number} offset the offset in bytes of this attribute in the full vertex
+ * @property {number} type Data type of each component: gl.BYTE, gl.SHORT, gl.UNSIGNED_BYTE, gl.UNSIGNED_SHORT, gl.FLOAT
+ * @property {boolean} normalized If true, integer data values normalized when being cast to a float
+ */
+
+/**
+ * WebGL resources made through one object, from {@link createGLRenderer}
+ *
+ * @typedef {object} GLRenderer
+ * @property {string} name Name given to the renderer's programs
+ * @property {WebGLRenderingContext} gl The context the resources belong to
+ * @property {?object} state What build returned; built again if needed
+ *           after the context is restored, null while the context is lost
+ * @property {function(string[]): WebGLProgram} program Compile and link a
+ *           program from vertex and fragment shader code
+ * @property {function(WebGLProgram, Float32Array, AttributeObject[], number=, number=): WebGLBuffer} buffer
+ *           Create a buffer like {@link createBuffer}
+ * @property {function(WebGLProgram, WebGLBuffer, AttributeObject[])} bindAttributes
+ *           Like {@link bindAttributes}, with cached locations
+ * @property {function(WebGLProgram, string): ?WebGLUniformLocation} uniform
+ *           Cached location of a uniform
+ * @property {function(WebGLProgram, string): number} attribute Cached
+ *           location of an attribute, -1 if it isn't active
+ * @property {function(WebGLProgram)} deleteProgram Delete a program and its
+ *           shaders
+ * @property {function()} dispose Delete every resource and stop listening
+ *           for context loss
+ */
+
+/**
+ * One message from a shader compile or program link log
+ *
+ * @typedef {object} ShaderDiagnostic
+ * @property {string} shaderType "vertex", "fragment" or "program" for link
+ *           errors
+ * @property {?number} line Line in the generated shader source, from 1, or
+ *           null if the message isn't about a line
+ * @property {?number} column Column on the line, from 1, or null if unknown
+ * @property {string} message What is wrong
+ */
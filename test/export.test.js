@@ -0,0 +1,195 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import {
+  LAYOUT_VERSION,
+  circlesToJSON,
+  circlesToSVG,
+  parseCirclesJSON,
+} from "../scripts/export.js";
+import {
+  CIRCLE_ELEMENTS,
+  generateCircleUniformData,
+} from "../scripts/generate.js";
+import { createRandom } from "../scripts/random.js";
+import { SHAPES } from "../scripts/shapes.js";
+
+const CANVAS = { width: 200, height: 100 };
+
+const STYLE = {
+  background: { r: 0.9, g: 0.9, b: 0.9, a: 1 },
+  gradient: false,
+  mode: "fillStroke",
+  strokeWidth: 2,
+  strokeColor: { r: 0.125, g: 0.125, b: 0.125, a: 1 },
+};
+
+/**
+ * Circle data for circles given as [x, y, r] or [x, y, r, shape]
+ *
+ * @param {Array<Array>} circles The circles, circle 0 on top
+ * @returns {Float32Array} The circle data
+ */
+function makeCircleData(circles) {
+  const circleData = new Float32Array(CIRCLE_ELEMENTS * circles.length);
+  circles.forEach(([x, y, r, shape], index) => {
+    const { type, rotation, a, b } = shape || {
+      type: SHAPES.circle,
+      rotation: 0,
+      a: 0,
+      b: 0,
+    };
+    circleData.set(
+      [x, y, r, 1, 0, 0, 1, type, rotation, a, b],
+      CIRCLE_ELEMENTS * index
+    );
+  });
+  return circleData;
+}
+
+/**
+ * A valid layout as written by circlesToJSON, parsed
+ *
+ * @returns {object} The JSON object
+ */
+function validLayout() {
+  return JSON.parse(
+    circlesToJSON(makeCircleData([[10, 20, 5]]), {
+      seed: 1,
+      canvasDimensions: CANVAS,
+      style: STYLE,
+    })
+  );
+}
+
+test("a layout read back from JSON is the same", () => {
+  const circleData = generateCircleUniformData(
+    25,
+    { min: 2, max: 20 },
+    CANVAS,
+    {
+      random: createRandom(99),
+      palette: "colorBlindSafe",
+      opacity: 0.7,
+      shape: "mixed",
+    }
+  );
+  const text = circlesToJSON(circleData, {
+    seed: 99,
+    canvasDimensions: CANVAS,
+    style: STYLE,
+  });
+  const layout = parseCirclesJSON(text);
+
+  assert.deepEqual(layout.circleData, circleData);
+  assert.equal(layout.seed, 99);
+  assert.deepEqual(layout.canvasDimensions, CANVAS);
+  assert.deepEqual(layout.style, STYLE);
+});
+
+test("circles are written without a shape, as before shapes existed", () => {
+  const json = validLayout();
+  assert.equal(json.version, LAYOUT_VERSION);
+  assert.deepEqual(Object.keys(json.circles[0]), ["x", "y", "r", "color"]);
+});
+
+test("layouts with another version are rejected", () => {
+  const json = validLayout();
+  json.version = LAYOUT_VERSION + 1;
+  assert.throws(
+    () => parseCirclesJSON(JSON.stringify(json)),
+    /expected version/
+  );
+  assert.throws(() => parseCirclesJSON("{not json"), /ERROR reading layout/);
+});
+
+test("layouts with bad circles are rejected", () => {
+  const bad = [
+    (circle) => delete circle.x,
+    (circle) => (circle.r = -1),
+    (circle) => (circle.color = { r: 2, g: 0, b: 0, a: 1 }),
+    (circle) => (circle.shape = { type: "star", rotation: 0, params: [0, 0] }),
+    (circle) =>
+      (circle.shape = { type: "polygon", rotation: 0, params: [2, 0] }),
+    (circle) => (circle.shape = { type: "ring", rotation: 0, params: [1] }),
+  ];
+  bad.forEach((spoil) => {
+    const json = validLayout();
+    spoil(json.circles[0]);
+    assert.throws(
+      () => parseCirclesJSON(JSON.stringify(json)),
+      /circle 0 is not valid/
+    );
+  });
+
+  const json = validLayout();
+  delete json.canvas;
+  assert.throws(
+    () => parseCirclesJSON(JSON.stringify(json)),
+    /missing canvas, background or circles/
+  );
+});
+
+test("SVG has circle 0 last, on top, with y flipped", () => {
+  const circleData = makeCircleData([
+    [10, 20, 5],
+    [50, 60, 8],
+  ]);
+  const lines = circlesToSVG(circleData, CANVAS, {
+    ...STYLE,
+    mode: "fill",
+  }).split("\n");
+
+  assert.match(lines[0], /^<svg [^>]*width="200" height="100"/);
+  assert.match(lines[1], /^ {2}<rect width="200" height="100" fill="#e6e6e6"/);
+  // SVG y goes down from the top
+  assert.match(lines[2], /<circle cx="50" cy="40" r="8" fill="#ff0000"/);
+  assert.match(lines[3], /<circle cx="10" cy="80" r="5" fill="#ff0000"/);
+  assert.equal(lines[4], "</svg>");
+});
+
+test("SVG writes the right element for each shape", () => {
+  const circleData = makeCircleData([
+    [20, 50, 10],
+    [60, 50, 10, { type: SHAPES.ellipse, rotation: 0, a: 0.5, b: 0 }],
+    [100, 50, 10, { type: SHAPES.ring, rotation: 0, a: 0.5, b: 0 }],
+    [140, 50, 10, { type: SHAPES.roundedRect, rotation: 0, a: 1, b: 0.2 }],
+    [180, 50, 10, { type: SHAPES.polygon, rotation: 0, a: 4, b: 0 }],
+  ]);
+  const lines = circlesToSVG(circleData, CANVAS, {
+    ...STYLE,
+    mode: "fill",
+  })
+    .trim()
+    .split("\n")
+    .slice(2, -1)
+    .reverse();
+
+  assert.match(lines[0], /^ {2}<circle cx="20" cy="50" r="10"/);
+  assert.match(lines[1], /^ {2}<ellipse [^>]*rx="10" ry="5"/);
+  assert.match(lines[2], /^ {2}<path d="M90 50A10 10 [^"]*M95 50A5 5 /);
+  assert.match(lines[2], /fill-rule="evenodd"/);
+  assert.match(lines[3], /^ {2}<rect x="132.929" y="42.929" /);
+  // a square's corners are on the circle, one on the positive x axis
+  assert.match(lines[4], /^ {2}<polygon points="190,50 180,40 170,50 180,60"/);
+});
+
+test("SVG outlines draw fill and stroke for each circle", () => {
+  const lines = circlesToSVG(makeCircleData([[10, 20, 5]]), CANVAS, STYLE)
+    .trim()
+    .split("\n");
+  assert.match(lines[2], /<circle cx="10" cy="80" r="5" fill="#ff0000"/);
+  // the stroke is inside the edge
+  assert.match(lines[3], /<circle cx="10" cy="80" r="4" fill="none"/);
+  assert.match(lines[3], /stroke="#202020"/);
+});
+
+test("SVG gradient colors come from where each circle is now", () => {
+  const svg = circlesToSVG(makeCircleData([[100, 25, 5]]), CANVAS, {
+    ...STYLE,
+    gradient: true,
+    mode: "fill",
+  });
+  // x 0.5, y 0.25, blue 0.5
+  assert.match(svg, /fill="#804080"/);
+});
@@ -0,0 +1,139 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import {
+  CIRCLE_ELEMENTS,
+  generateCircleUniformData,
+} from "../scripts/generate.js";
+import { PLACEMENT_STRATEGIES } from "../scripts/placement.js";
+import { createRandom } from "../scripts/random.js";
+import { SHAPE_CHOICES } from "../scripts/shapes.js";
+
+const CANVAS_SIZES = [
+  { width: 300, height: 150 },
+  { width: 97, height: 211 },
+];
+
+test("every circle is fully inside the canvas", () => {
+  Object.keys(PLACEMENT_STRATEGIES).forEach((placement) => {
+    CANVAS_SIZES.forEach((canvas) => {
+      [1, 2, 3].forEach((seed) => {
+        const circleData = generateCircleUniformData(
+          200,
+          { min: 2, max: 20 },
+          canvas,
+          { random: createRandom(seed), placement: placement }
+        );
+        for (let i = 0; i < circleData.length; i += CIRCLE_ELEMENTS) {
+          const [x, y, r] = circleData.subarray(i, i + 3);
+          const where = `${placement} seed ${seed} circle ${
+            i / CIRCLE_ELEMENTS
+          }`;
+          // the data is single precision
+          const slack = 1e-3;
+          assert.ok(x - r >= -slack, `${where} crosses the left edge`);
+          assert.ok(y - r >= -slack, `${where} crosses the bottom edge`);
+          assert.ok(
+            x + r <= canvas.width + slack,
+            `${where} crosses the right`
+          );
+          assert.ok(y + r <= canvas.height + slack, `${where} crosses the top`);
+        }
+      });
+    });
+  });
+});
+
+test("radii stay within the limits", () => {
+  Object.keys(PLACEMENT_STRATEGIES).forEach((placement) => {
+    const circleData = generateCircleUniformData(
+      100,
+      { min: 3, max: 12 },
+      { width: 400, height: 300 },
+      { random: createRandom(9), placement: placement }
+    );
+    assert.ok(circleData.length > 0);
+    for (let i = 2; i < circleData.length; i += CIRCLE_ELEMENTS) {
+      assert.ok(circleData[i] >= 3 - 1e-4, `${placement} radius too small`);
+      assert.ok(circleData[i] <= 12 + 1e-4, `${placement} radius too large`);
+    }
+  });
+});
+
+test("uniform placement makes exactly the circles asked for", () => {
+  const circleData = generateCircleUniformData(
+    37,
+    { min: 1, max: 10 },
+    { width: 100, height: 100 },
+    { random: createRandom(5) }
+  );
+  assert.equal(circleData.length, 37 * CIRCLE_ELEMENTS);
+});
+
+test("non-overlapping placements keep circles apart", () => {
+  ["noOverlap", "poisson"].forEach((placement) => {
+    const gap = 2;
+    const circleData = generateCircleUniformData(
+      150,
+      { min: 3, max: 15 },
+      { width: 320, height: 240 },
+      { random: createRandom(11), placement: placement, gap: gap }
+    );
+    for (let i = 0; i < circleData.length; i += CIRCLE_ELEMENTS) {
+      for (
+        let j = i + CIRCLE_ELEMENTS;
+        j < circleData.length;
+        j += CIRCLE_ELEMENTS
+      ) {
+        const distance = Math.hypot(
+          circleData[i] - circleData[j],
+          circleData[i + 1] - circleData[j + 1]
+        );
+        assert.ok(
+          distance - circleData[i + 2] - circleData[j + 2] >= gap - 1e-3,
+          `${placement} circles ${i / CIRCLE_ELEMENTS} and ` +
+            `${j / CIRCLE_ELEMENTS} are too close`
+        );
+      }
+    }
+  });
+});
+
+test("non-overlapping placement stops when the canvas is full", () => {
+  const circleData = generateCircleUniformData(
+    100000,
+    { min: 20, max: 40 },
+    { width: 200, height: 200 },
+    { random: createRandom(3), placement: "noOverlap" }
+  );
+  assert.ok(circleData.length / CIRCLE_ELEMENTS < 100);
+});
+
+test("the same seed makes the same circles", () => {
+  SHAPE_CHOICES.forEach((shape) => {
+    const generate = () =>
+      generateCircleUniformData(
+        50,
+        { min: 2, max: 20 },
+        { width: 200, height: 100 },
+        { random: createRandom(1234), palette: "pastel", shape: shape }
+      );
+    assert.deepEqual(generate(), generate());
+  });
+});
+
+test("unknown placements, palettes and shapes are errors", () => {
+  const generate = (options) =>
+    generateCircleUniformData(
+      1,
+      { min: 1, max: 2 },
+      { width: 10, height: 10 },
+      options
+    );
+  assert.throws(
+    () => generate({ placement: "grid" }),
+    /unknown circle placement/
+  );
+  assert.throws(() => generate({ palette: "neon" }), /unknown palette/);
+  assert.throws(() => generate({ shape: "star" }), /unknown shape/);
+});
@@ -0,0 +1,93 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { CIRCLE_ELEMENTS } from "../scripts/generate.js";
+import { cssToCanvasPoint, hitTestCircles } from "../scripts/interaction.js";
+import { SHAPES } from "../scripts/shapes.js";
+
+/**
+ * Circle data for circles given as [x, y, r] or [x, y, r, shape]
+ *
+ * @param {Array<Array>} circles The circles, circle 0 on top
+ * @returns {Float32Array} The circle data
+ */
+function makeCircleData(circles) {
+  const circleData = new Float32Array(CIRCLE_ELEMENTS * circles.length);
+  circles.forEach(([x, y, r, shape], index) => {
+    const { type, rotation, a, b } = shape || {
+      type: SHAPES.circle,
+      rotation: 0,
+      a: 0,
+      b: 0,
+    };
+    circleData.set(
+      [x, y, r, 1, 1, 1, 1, type, rotation, a, b],
+      CIRCLE_ELEMENTS * index
+    );
+  });
+  return circleData;
+}
+
+const RECT = { left: 10, top: 20, width: 200, height: 100 };
+
+test("CSS pixels are scaled by the device pixel ratio", () => {
+  // a 200x100 CSS box at devicePixelRatio 2
+  const canvas = { width: 400, height: 200 };
+  assert.deepEqual(cssToCanvasPoint(10, 120, RECT, canvas), { x: 0, y: 0 });
+  assert.deepEqual(cssToCanvasPoint(60, 95, RECT, canvas), { x: 100, y: 50 });
+  assert.deepEqual(cssToCanvasPoint(210, 20, RECT, canvas), {
+    x: 400,
+    y: 200,
+  });
+});
+
+test("y is flipped so the origin is at the bottom left", () => {
+  const canvas = { width: 200, height: 100 };
+  // the top left of the box is the top of the drawing buffer
+  assert.deepEqual(cssToCanvasPoint(10, 20, RECT, canvas), { x: 0, y: 100 });
+  assert.deepEqual(cssToCanvasPoint(10, 30, RECT, canvas), { x: 0, y: 90 });
+  assert.deepEqual(cssToCanvasPoint(10, 120, RECT, canvas), { x: 0, y: 0 });
+});
+
+test("fractional pixel ratios scale each axis by the buffer size", () => {
+  // devicePixelRatio 1.5, with the buffer height rounded
+  const canvas = { width: 300, height: 151 };
+  const point = cssToCanvasPoint(110, 70, RECT, canvas);
+  assert.equal(point.x, 150);
+  assert.equal(point.y, 75.5);
+});
+
+test("the first circle containing the point wins, as in the shader", () => {
+  const circleData = makeCircleData([
+    [50, 50, 10],
+    [55, 50, 20],
+    [200, 200, 5],
+  ]);
+  assert.equal(hitTestCircles(circleData, { x: 52, y: 50 }), 0);
+  assert.equal(hitTestCircles(circleData, { x: 70, y: 50 }), 1);
+  assert.equal(hitTestCircles(circleData, { x: 201, y: 199 }), 2);
+  assert.equal(hitTestCircles(circleData, { x: 120, y: 120 }), -1);
+});
+
+test("points outside a circle's shape miss it", () => {
+  const circleData = makeCircleData([
+    [50, 50, 20, { type: SHAPES.ring, rotation: 0, a: 0.5, b: 0 }],
+    [50, 50, 30],
+  ]);
+  // the ring's hole shows the circle behind it
+  assert.equal(hitTestCircles(circleData, { x: 50, y: 50 }), 1);
+  assert.equal(hitTestCircles(circleData, { x: 65, y: 50 }), 0);
+});
+
+test("a click in CSS pixels selects the circle drawn there", () => {
+  // a circle near the bottom of a 200x100 CSS box at devicePixelRatio 2
+  const canvas = { width: 400, height: 200 };
+  const circleData = makeCircleData([[100, 20, 10]]);
+  const point = cssToCanvasPoint(60, 110, RECT, canvas);
+  assert.equal(hitTestCircles(circleData, point), 0);
+  // the same distance from the top misses it
+  assert.equal(
+    hitTestCircles(circleData, cssToCanvasPoint(60, 30, RECT, canvas)),
+    -1
+  );
+});
@@ -0,0 +1,117 @@
+import assert from "node:assert/strict";
+import { existsSync, readFileSync, writeFileSync } from "node:fs";
+import { test } from "node:test";
+import { gunzipSync, gzipSync } from "node:zlib";
+
+import { generateCircleUniformData } from "../scripts/generate.js";
+import { parseHexColor } from "../scripts/palettes.js";
+import { createRandom } from "../scripts/random.js";
+import { rasterizeCircles } from "../scripts/reference.js";
+
+/**
+ * Run with UPDATE_GOLDEN=1 to write the golden images again after a change
+ * to the shaders or to generation that is meant to change the pictures
+ */
+const UPDATE = Boolean(process.env.UPDATE_GOLDEN);
+
+/**
+ * Largest difference allowed in any channel, for Math.sin and friends
+ * rounding differently on another machine
+ */
+const TOLERANCE = 1;
+
+const CANVAS = { width: 96, height: 64 };
+
+const STYLE = {
+  background: parseHexColor("#e6e6e6"),
+  gradient: false,
+  mode: "fill",
+  strokeWidth: 2,
+  strokeColor: parseHexColor("#202020"),
+};
+
+// Golden images are raw premultiplied RGBA, bottom row first, gzipped
+const CASES = [
+  {
+    name: "gradient-fill",
+    seed: 1,
+    count: 12,
+    options: {},
+    style: { gradient: true },
+  },
+  {
+    name: "pastel-fill-stroke",
+    seed: 7,
+    count: 30,
+    options: { placement: "noOverlap", palette: "pastel", opacity: 0.8 },
+    style: { mode: "fillStroke" },
+  },
+  {
+    name: "mixed-shapes-outline",
+    seed: 42,
+    count: 40,
+    options: {
+      placement: "poisson",
+      palette: "colorBlindSafe",
+      shape: "mixed",
+    },
+    style: { mode: "outline", strokeWidth: 1.5 },
+  },
+];
+
+CASES.forEach((testCase) => {
+  test(`seeded layout matches golden image ${testCase.name}`, () => {
+    const smaller = Math.min(CANVAS.width, CANVAS.height);
+    const circleData = generateCircleUniformData(
+      testCase.count,
+      { min: 0.02 * smaller, max: 0.25 * smaller },
+      CANVAS,
+      { ...testCase.options, random: createRandom(testCase.seed) }
+    );
+    const pixels = rasterizeCircles(circleData, CANVAS, {
+      ...STYLE,
+      ...testCase.style,
+    });
+
+    const file = new URL(`golden/${testCase.name}.rgba.gz`, import.meta.url);
+    if (UPDATE || !existsSync(file)) {
+      writeFileSync(file, gzipSync(pixels));
+      if (!UPDATE) {
+        assert.fail(`${testCase.name} had no golden image; one was written`);
+      }
+      return;
+    }
+
+    const golden = gunzipSync(readFileSync(file));
+    assert.equal(pixels.length, golden.length, "image size changed");
+    let different = 0;
+    let first = null;
+    for (let i = 0; i < pixels.length; i++) {
+      if (Math.abs(pixels[i] - golden[i]) > TOLERANCE) {
+        different++;
+        first = first === null ? i : first;
+      }
+    }
+    if (different > 0) {
+      const pixel = Math.floor(first / 4);
+      assert.fail(
+        `${different} channels differ from the golden image, first at ` +
+          `x ${pixel % CANVAS.width}, y ${Math.floor(pixel / CANVAS.width)}`
+      );
+    }
+  });
+});
+
+test("an empty layout is only background", () => {
+  const pixels = rasterizeCircles(
+    new Float32Array(0),
+    { width: 4, height: 3 },
+    {
+      ...STYLE,
+      background: { r: 1, g: 0.5, b: 0, a: 0.5 },
+    }
+  );
+  for (let i = 0; i < pixels.length; i += 4) {
+    assert.deepEqual([...pixels.subarray(i, i + 4)], [128, 64, 0, 128]);
+  }
+});
@@ -0,0 +1,130 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import {
+  DEFAULT_SETTINGS,
+  convertRadius,
+  radiusLimitsInPixels,
+  resetInvalidSettings,
+  validateSettings,
+} from "../scripts/settings.js";
+
+const CANVAS = { width: 800, height: 400 };
+
+test("fraction radii scale with the smaller canvas side", () => {
+  const radius = radiusLimitsInPixels(
+    { minRadius: 0.02, maxRadius: 0.25, radiusUnit: "fraction" },
+    CANVAS
+  );
+  assert.deepEqual(radius, { min: 8, max: 100 });
+
+  const tall = radiusLimitsInPixels(
+    { minRadius: 0.1, maxRadius: 0.5, radiusUnit: "fraction" },
+    { width: 300, height: 900 }
+  );
+  assert.deepEqual(tall, { min: 30, max: 150 });
+});
+
+test("pixel radii are used as they are", () => {
+  const radius = radiusLimitsInPixels(
+    { minRadius: 3, maxRadius: 40, radiusUnit: "px" },
+    CANVAS
+  );
+  assert.deepEqual(radius, { min: 3, max: 40 });
+});
+
+test("the default settings are valid", () => {
+  assert.deepEqual(validateSettings(DEFAULT_SETTINGS, CANVAS), {});
+});
+
+test("a minimum radius above the maximum is an error", () => {
+  const errors = validateSettings(
+    { ...DEFAULT_SETTINGS, minRadius: 0.3, maxRadius: 0.2 },
+    CANVAS
+  );
+  assert.match(errors.minRadius, /larger than the maximum/);
+  assert.equal(errors.maxRadius, undefined);
+});
+
+test("a zero minimum radius is an error", () => {
+  const errors = validateSettings(
+    { ...DEFAULT_SETTINGS, minRadius: 0 },
+    CANVAS
+  );
+  assert.match(errors.minRadius, /more than 0/);
+});
+
+test("a radius that doesn't fit on the canvas is an error", () => {
+  assert.match(
+    validateSettings({ ...DEFAULT_SETTINGS, maxRadius: 0.9 }, CANVAS).maxRadius,
+    /the most is 0\.5/
+  );
+  assert.match(
+    validateSettings(
+      { ...DEFAULT_SETTINGS, radiusUnit: "px", minRadius: 5, maxRadius: 201 },
+      CANVAS
+    ).maxRadius,
+    /the most is 200 px/
+  );
+  assert.deepEqual(
+    validateSettings(
+      { ...DEFAULT_SETTINGS, radiusUnit: "px", minRadius: 5, maxRadius: 200 },
+      CANVAS
+    ),
+    {}
+  );
+});
+
+test("more circles than the renderer can draw is an error", () => {
+  const settings = { ...DEFAULT_SETTINGS, count: 400, renderer: "uniform" };
+  assert.match(
+    validateSettings(settings, CANVAS, { uniform: 339 }).count,
+    /at most 339 circles/
+  );
+  assert.deepEqual(
+    validateSettings({ ...settings, renderer: "instanced" }, CANVAS, {
+      uniform: 339,
+    }),
+    {}
+  );
+});
+
+test("invalid settings are put back to their defaults", () => {
+  const settings = {
+    ...DEFAULT_SETTINGS,
+    minRadius: 10,
+    maxRadius: 0.9,
+    count: 1000,
+    renderer: "uniform",
+  };
+  const errors = resetInvalidSettings(settings, CANVAS, { uniform: 339 });
+  assert.deepEqual(Object.keys(errors).sort(), [
+    "count",
+    "maxRadius",
+    "minRadius",
+  ]);
+  assert.equal(settings.minRadius, DEFAULT_SETTINGS.minRadius);
+  assert.equal(settings.maxRadius, DEFAULT_SETTINGS.maxRadius);
+  assert.equal(settings.radiusUnit, DEFAULT_SETTINGS.radiusUnit);
+  assert.equal(settings.count, DEFAULT_SETTINGS.count);
+  assert.equal(settings.renderer, "uniform");
+  assert.deepEqual(validateSettings(settings, CANVAS, { uniform: 339 }), {});
+});
+
+test("valid settings are kept", () => {
+  const settings = { ...DEFAULT_SETTINGS, count: 300, maxRadius: 0.4 };
+  assert.deepEqual(resetInvalidSettings(settings, CANVAS), {});
+  assert.deepEqual(settings, {
+    ...DEFAULT_SETTINGS,
+    count: 300,
+    maxRadius: 0.4,
+  });
+});
+
+test("changing the radius unit keeps the radius size", () => {
+  assert.equal(convertRadius(0.25, "fraction", "px", CANVAS), 100);
+  assert.equal(convertRadius(100, "px", "fraction", CANVAS), 0.25);
+  // at least one pixel
+  assert.equal(convertRadius(0.001, "fraction", "px", CANVAS), 1);
+  assert.equal(convertRadius(0.3, "fraction", "fraction", CANVAS), 0.3);
+});
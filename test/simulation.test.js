@@ -0,0 +1,132 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import {
+  CIRCLE_ELEMENTS,
+  generateCircleUniformData,
+} from "../scripts/generate.js";
+import { createRandom } from "../scripts/random.js";
+import {
+  VELOCITY_ELEMENTS,
+  generateVelocities,
+  stepSimulation,
+} from "../scripts/simulation.js";
+
+const CANVAS = { width: 400, height: 300 };
+
+/**
+ * Circle data for circles given as [x, y, r]
+ *
+ * @param {Array<number[]>} circles The circles
+ * @returns {Float32Array} The circle data
+ */
+function makeCircleData(circles) {
+  const circleData = new Float32Array(CIRCLE_ELEMENTS * circles.length);
+  circles.forEach(([x, y, r], index) => {
+    circleData.set([x, y, r, 1, 1, 1, 1], CIRCLE_ELEMENTS * index);
+  });
+  return circleData;
+}
+
+/**
+ * A seeded scene of moving circles
+ *
+ * @param {number} seed Seed for the circles and velocities
+ * @returns {object} circleData and velocities
+ */
+function makeScene(seed) {
+  const random = createRandom(seed);
+  const circleData = generateCircleUniformData(
+    60,
+    { min: 4, max: 30 },
+    CANVAS,
+    { random: random }
+  );
+  const velocities = generateVelocities(
+    circleData.length / CIRCLE_ELEMENTS,
+    200,
+    random
+  );
+  return { circleData, velocities };
+}
+
+test("circles stay inside the canvas after many steps", () => {
+  const { circleData, velocities } = makeScene(1);
+  for (let step = 0; step < 600; step++) {
+    stepSimulation(circleData, velocities, 1 / 60, CANVAS);
+    for (let i = 0; i < circleData.length; i += CIRCLE_ELEMENTS) {
+      const [x, y, r] = circleData.subarray(i, i + 3);
+      const where = `circle ${i / CIRCLE_ELEMENTS} at step ${step}`;
+      const slack = 1e-3;
+      assert.ok(x - r >= -slack && y - r >= -slack, `${where} left the canvas`);
+      assert.ok(
+        x + r <= CANVAS.width + slack && y + r <= CANVAS.height + slack,
+        `${where} left the canvas`
+      );
+    }
+  }
+});
+
+test("a circle reflects off a wall", () => {
+  const circleData = makeCircleData([[395, 150, 10]]);
+  const velocities = new Float32Array([100, 20]);
+  stepSimulation(circleData, velocities, 0.1, CANVAS);
+
+  assert.equal(circleData[0], 390);
+  assert.equal(velocities[0], -100);
+  // the other direction is untouched
+  assert.equal(velocities[1], 20);
+  assert.ok(Math.abs(circleData[1] - 152) < 1e-4);
+
+  // and off the bottom
+  const falling = makeCircleData([[200, 12, 10]]);
+  const down = new Float32Array([0, -50]);
+  stepSimulation(falling, down, 0.1, CANVAS);
+  assert.equal(falling[1], 10);
+  assert.equal(down[1], 50);
+});
+
+test("a head-on collision keeps momentum with mass proportional to r²", () => {
+  const circleData = makeCircleData([
+    [100, 150, 10],
+    [129, 150, 20],
+  ]);
+  const velocities = new Float32Array([60, 0, -30, 0]);
+  const mass = [100, 400];
+  const momentum = () =>
+    [0, 1].map(
+      (axis) =>
+        mass[0] * velocities[axis] +
+        mass[1] * velocities[VELOCITY_ELEMENTS + axis]
+    );
+  const energy = () =>
+    mass[0] * (velocities[0] ** 2 + velocities[1] ** 2) +
+    mass[1] * (velocities[2] ** 2 + velocities[3] ** 2);
+  const before = momentum();
+  const energyBefore = energy();
+
+  stepSimulation(circleData, velocities, 0.001, CANVAS);
+
+  const after = momentum();
+  assert.ok(Math.abs(after[0] - before[0]) < 1e-2, "x momentum changed");
+  assert.ok(Math.abs(after[1] - before[1]) < 1e-2, "y momentum changed");
+  // elastic, so the circles bounce apart without losing energy
+  assert.ok(Math.abs(energy() - energyBefore) / energyBefore < 1e-5);
+  assert.ok(velocities[0] < 0, "the small circle bounces back");
+  assert.ok(velocities[2] > velocities[0], "the circles move apart");
+  // and they no longer overlap
+  assert.ok(circleData[CIRCLE_ELEMENTS] - circleData[0] >= 30 - 1e-4);
+});
+
+test("fixed steps are deterministic", () => {
+  const first = makeScene(7);
+  const second = makeScene(7);
+  for (let step = 0; step < 300; step++) {
+    stepSimulation(first.circleData, first.velocities, 1 / 60, CANVAS);
+    stepSimulation(second.circleData, second.velocities, 1 / 60, CANVAS);
+  }
+  assert.deepEqual(first.circleData, second.circleData);
+  assert.deepEqual(first.velocities, second.velocities);
+  // and the circles did move
+  assert.notDeepEqual(first.circleData, makeScene(7).circleData);
+});